@@ -0,0 +1,236 @@
+// Background service worker
+//
+// Content scripts run in YouTube's origin, so anything that has to live in the extension's
+// own origin (the transcript library), needs extension APIs (downloads) or host permissions
+// (other YouTube origins, "Send to…" endpoints) is reached through chrome.runtime messages
+// handled here. Large downloads get their blob URL from the offscreen document (offscreen.js).
+// Keyboard shortcuts and context-menu clicks go the other way: they are forwarded to the
+// content script of the tab they happened in.
+
+importScripts('library.js', 'settings.js', 'webhooks.js');
+
+// Debug logging
+function log(message) {
+  console.log('[YouTube Transcript Extension]', message);
+}
+
+// Message handlers by message type; each returns a promise of the response data
+const MESSAGE_HANDLERS = {
+  'library-find': message => findLibraryTranscript(message.request),
+  'library-save': async message => {
+    const record = await saveLibraryTranscript(message.transcript);
+    log(`Saved transcript ${record.id} to library`);
+    return record.id;
+  },
+  'download': message => downloadFile(message),
+  'fetch-youtube': message => fetchYouTube(message.url, message.init),
+  'webhook-send': message => sendToWebhook(message.endpointId, message.body)
+};
+
+// How long to wait for an endpoint to answer
+const WEBHOOK_TIMEOUT = 30000;
+
+// Fetch a www.youtube.com URL for content scripts on other YouTube origins
+async function fetchYouTube(url, init = {}) {
+  if (new URL(url).origin !== 'https://www.youtube.com') {
+    throw new Error(`Refusing to fetch ${url}`);
+  }
+
+  const response = await fetch(url, init);
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    body: await response.text()
+  };
+}
+
+// POST a JSON body to one of the configured endpoints, resolving with the response status
+// The endpoint is looked up by ID, so messages can only reach URLs the user has set up
+async function sendToWebhook(endpointId, body) {
+  const webhooks = await loadWebhooks();
+  const endpoint = webhooks.find(webhook => webhook.id === endpointId);
+  if (!endpoint) {
+    throw new Error('This endpoint no longer exists');
+  }
+
+  const origin = new URL(endpoint.url).origin;
+  if (!await chrome.permissions.contains({ origins: [getWebhookOriginPattern(endpoint.url)] })) {
+    throw new Error(`No access to ${origin}; allow it on the options page`);
+  }
+
+  let response;
+  try {
+    response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...endpoint.headers },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+  } catch (error) {
+    throw new Error(`Could not reach ${origin}: ${error.message}`);
+  }
+
+  log(`Sent ${body.length} bytes to ${endpoint.name}: HTTP ${response.status}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+  }
+  return { status: response.status };
+}
+
+// Longest data URL to download directly; Chrome refuses data URLs of about 2 MB and more
+const DATA_URL_LIMIT = 1024 * 1024;
+
+// Save a file with the downloads API and resolve with its final state
+// Service workers have no URL.createObjectURL, so the content travels as a data URL;
+// text is sent as is and binary files (ZIP archives) as base64. Larger files get a blob URL
+// from the offscreen document instead, revoked once the download has ended
+async function downloadFile({ content, encoding, mimeType, filename, saveAs, conflictAction }) {
+  const dataUrl = encoding === 'base64'
+    ? `data:${mimeType};base64,${content}`
+    : `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+  const blobUrl = dataUrl.length > DATA_URL_LIMIT
+    ? await sendOffscreenMessage({ type: 'offscreen-create-blob-url', content, encoding, mimeType })
+    : null;
+
+  try {
+    let downloadId;
+    try {
+      downloadId = await chrome.downloads.download({ url: blobUrl || dataUrl, filename, saveAs, conflictAction });
+    } catch (error) {
+      // Closing the "Save as" dialog rejects instead of starting an interrupted download
+      log(`Download of ${filename} did not start: ` + error.message);
+      return { state: 'interrupted', filename, error: error.message };
+    }
+
+    const result = await waitForDownload(downloadId);
+    log(`Download of ${result.filename || filename} ${result.state}`);
+    return { ...result, filename: result.filename || filename };
+  } finally {
+    if (blobUrl) {
+      sendOffscreenMessage({ type: 'offscreen-revoke-blob-url', url: blobUrl }).catch(error => {
+        log('Could not revoke a download URL: ' + error.message);
+      });
+    }
+  }
+}
+
+// The offscreen document being created, so parallel downloads wait for the same one
+let offscreenCreation = null;
+
+// Send a message to the offscreen document (offscreen.js), creating it when needed,
+// and return its response data
+async function sendOffscreenMessage(message) {
+  const url = chrome.runtime.getURL('offscreen.html');
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] });
+  if (contexts.length === 0) {
+    offscreenCreation = offscreenCreation || chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['BLOBS'],
+      justification: 'Blob URLs for downloads too large for a data URL'
+    }).finally(() => {
+      offscreenCreation = null;
+    });
+    await offscreenCreation;
+  }
+
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response || !response.ok) {
+    throw new Error(response ? response.error : 'No response from the offscreen document');
+  }
+  return response.data;
+}
+
+// Wait until a download completes or is interrupted
+function waitForDownload(downloadId) {
+  return new Promise(resolve => {
+    const finish = item => {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      resolve({ state: item.state, filename: item.filename, error: item.error || null });
+    };
+
+    const onChanged = async delta => {
+      if (delta.id !== downloadId || !delta.state || delta.state.current === 'in_progress') return;
+      const [item] = await chrome.downloads.search({ id: downloadId });
+      finish(item || { state: delta.state.current });
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+
+    // Small files can finish before the listener is added
+    chrome.downloads.search({ id: downloadId }).then(([item]) => {
+      if (item && item.state !== 'in_progress') {
+        finish(item);
+      }
+    });
+  });
+}
+
+// Answer messages with { ok: true, data } or { ok: false, error }
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = message && MESSAGE_HANDLERS[message.type];
+  if (!handler) return false;
+
+  handler(message, sender)
+    .then(data => sendResponse({ ok: true, data }))
+    .catch(error => {
+      log(`Error handling ${message.type}: ` + error.message);
+      sendResponse({ ok: false, error: error.message });
+    });
+
+  // Keep the channel open for the asynchronous response
+  return true;
+});
+
+// Context-menu entries on video links, with the message naming each one and its output mode
+const LINK_MENU_ITEMS = [
+  { id: 'transcript-link-download', titleMessage: 'linkMenuDownload', outputMode: 'download' },
+  { id: 'transcript-link-copy', titleMessage: 'linkMenuCopy', outputMode: 'clipboard' }
+];
+
+// Links the context-menu entries appear on
+const VIDEO_LINK_PATTERNS = [
+  'https://www.youtube.com/watch*',
+  'https://www.youtube.com/shorts/*',
+  'https://www.youtube.com/live/*',
+  'https://m.youtube.com/watch*',
+  'https://m.youtube.com/shorts/*',
+  'https://youtu.be/*'
+];
+
+// Pass a message on to the content script in one frame of a tab
+async function sendToTab(tab, message, frameId = 0) {
+  try {
+    await chrome.tabs.sendMessage(tab.id, message, { frameId });
+  } catch (error) {
+    // Tabs without the content script (other sites, pages opened before an update) can't answer
+    log(`Could not reach tab ${tab.id}: ` + error.message);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    for (const item of LINK_MENU_ITEMS) {
+      chrome.contextMenus.create({
+        id: item.id,
+        title: chrome.i18n.getMessage(item.titleMessage),
+        contexts: ['link'],
+        documentUrlPatterns: ['https://www.youtube.com/*', 'https://m.youtube.com/*'],
+        targetUrlPatterns: VIDEO_LINK_PATTERNS
+      });
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const item = LINK_MENU_ITEMS.find(menuItem => menuItem.id === info.menuItemId);
+  if (!item || !tab) return;
+  sendToTab(tab, { type: 'transcript-link', outputMode: item.outputMode, url: info.linkUrl }, info.frameId);
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (tab) {
+    sendToTab(tab, { type: 'transcript-command', command });
+  }
+});
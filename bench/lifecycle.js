@@ -0,0 +1,279 @@
+// Benchmark of the content script's page lifecycle on a watch page fixture
+//
+// Loads the content scripts into jsdom on bench/fixtures/watch-page.html, then plays a long
+// session against it: the player's time display ticking every second, comment threads and
+// related videos loading, and the scripts' interval timers firing on the simulated clock.
+// Ends with an in-app navigation to another video. Reports the observers the scripts create,
+// what they watch, how often their callbacks run and the time spent in callbacks and timers.
+//
+//   npm run bench                                  the content scripts listed in manifest.json
+//   node bench/lifecycle.js --content <file>       a single standalone content script instead
+//   node bench/lifecycle.js --seconds <n>          session length (default 600)
+//
+// To compare with the first version, which polled and observed the whole body:
+//   git show $(git rev-list --max-parents=0 HEAD):content.js > /tmp/content-baseline.js
+//   node bench/lifecycle.js --content /tmp/content-baseline.js
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures', 'watch-page.html');
+const PAGE_URL = 'https://www.youtube.com/watch?v=jfKfPfyJRdk';
+const NEXT_PAGE_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+// How long to wait for the button, in real time (the first version waited 2 s before trying)
+const BUTTON_TIMEOUT = 5000;
+
+// Session events, in simulated seconds
+const COMMENT_EVERY = 10;
+const RELATED_EVERY = 30;
+
+// Read --name value pairs from the command line
+function readArguments(argv) {
+  const args = { content: null, seconds: 600 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in args) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete argument ${argv[i]}`);
+    }
+    args[name] = name === 'seconds' ? parseInt(argv[i + 1], 10) : argv[i + 1];
+  }
+  return args;
+}
+
+// Scripts to load: the manifest's content scripts, or the one given on the command line
+function getScripts(contentFile) {
+  if (contentFile) {
+    return [path.resolve(contentFile)];
+  }
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  return manifest.content_scripts[0].js.map(file => path.join(ROOT, file));
+}
+
+// Extension APIs the content scripts touch while setting up, with nothing behind them
+function createChromeStub() {
+  return {
+    runtime: {
+      sendMessage: async () => ({ ok: false, error: 'No background page in the benchmark' }),
+      onMessage: { addListener() {} },
+      getURL: file => file
+    },
+    storage: {
+      sync: { get: async defaults => ({ ...defaults }), set: async () => {} },
+      onChanged: { addListener() {} }
+    },
+    i18n: { getMessage: name => name }
+  };
+}
+
+// Replace MutationObserver and setInterval in the page with versions that keep count
+function instrument(window, stats) {
+  const NativeObserver = window.MutationObserver;
+  const active = new Set();
+  stats.activeObservers = () => active.size;
+  stats.bodyObservers = () => [...active].filter(observer => observer.watchesBody).length;
+
+  window.MutationObserver = class extends NativeObserver {
+    constructor(callback) {
+      super((...args) => {
+        const start = performance.now();
+        try {
+          return callback(...args);
+        } finally {
+          stats.callbacks++;
+          stats.callbackMs += performance.now() - start;
+        }
+      });
+      stats.observersCreated++;
+    }
+
+    observe(target, options) {
+      super.observe(target, options);
+      active.add(this);
+      const document = target.ownerDocument || target;
+      if (options && options.subtree && (target === document.body || target === document.documentElement)) {
+        this.watchesBody = true;
+      }
+    }
+
+    disconnect() {
+      super.disconnect();
+      active.delete(this);
+    }
+  };
+
+  // Intervals run on the simulated clock instead of the real one
+  window.setInterval = (callback, delay = 0) => {
+    stats.intervals.push({ callback, delay: Math.max(delay, 1), due: delay });
+    return stats.intervals.length;
+  };
+  window.clearInterval = id => {
+    if (stats.intervals[id - 1]) {
+      stats.intervals[id - 1].cleared = true;
+    }
+  };
+}
+
+// Run the interval callbacks due by the simulated time
+function fireIntervals(stats, nowMs) {
+  for (const interval of stats.intervals) {
+    while (!interval.cleared && interval.due <= nowMs) {
+      const start = performance.now();
+      try {
+        interval.callback();
+      } catch (error) {
+        // A failing timer is the script's problem, not the benchmark's
+      }
+      stats.intervalTicks++;
+      stats.intervalMs += performance.now() - start;
+      interval.due += interval.delay;
+    }
+  }
+}
+
+// Let timers, promise callbacks and observer callbacks run
+function yieldToPage(window) {
+  return new Promise(resolve => window.setTimeout(resolve, 0));
+}
+
+// Wait in real time until the button is on the page, resolving with the time taken or null
+async function waitForButton(window) {
+  const start = performance.now();
+  while (performance.now() - start < BUTTON_TIMEOUT) {
+    if (window.document.getElementById('transcript-download-btn')) {
+      return Math.round(performance.now() - start);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return null;
+}
+
+// A comment thread with its author, text and toolbar
+function createCommentThread(document, index) {
+  const thread = document.createElement('ytd-comment-thread-renderer');
+  thread.innerHTML = `
+    <ytd-comment-view-model id="comment">
+      <div id="author-thumbnail"><img alt=""></div>
+      <div id="main">
+        <div id="header"><a id="author-text">@viewer${index}</a><span id="published-time-text">1 minute ago</span></div>
+        <div id="expander"><yt-attributed-string id="content-text"><span>Comment ${index}</span></yt-attributed-string></div>
+        <ytd-comment-engagement-bar id="action-buttons"><button aria-label="Like"></button><button aria-label="Reply"></button></ytd-comment-engagement-bar>
+      </div>
+    </ytd-comment-view-model>
+    <div id="replies"></div>`;
+  return thread;
+}
+
+// A related video entry
+function createRelatedVideo(document, index) {
+  const item = document.createElement('ytd-compact-video-renderer');
+  item.innerHTML = `
+    <a id="thumbnail" href="/watch?v=related${String(index).padStart(4, '0')}"><img alt=""></a>
+    <div id="details"><h3><span id="video-title">Related video ${index}</span></h3><div id="metadata">Channel</div></div>`;
+  return item;
+}
+
+// Play the session: a second at a time on the simulated clock
+async function playSession(window, stats, seconds) {
+  const { document } = window;
+  const time = document.querySelector('.ytp-time-current');
+  const comments = document.querySelector('#comments #contents');
+  const related = document.querySelector('#related #items');
+  const start = performance.now();
+
+  for (let second = 1; second <= seconds; second++) {
+    time.textContent = `${Math.floor(second / 60)}:${String(second % 60).padStart(2, '0')}`;
+    if (second % COMMENT_EVERY === 0) {
+      comments.appendChild(createCommentThread(document, second / COMMENT_EVERY));
+    }
+    if (second % RELATED_EVERY === 0) {
+      for (let i = 0; i < 5; i++) {
+        related.appendChild(createRelatedVideo(document, second + i));
+      }
+    }
+    fireIntervals(stats, second * 1000);
+    await yieldToPage(window);
+  }
+
+  return Math.round(performance.now() - start);
+}
+
+// Navigate in place to another video the way YouTube's router does
+async function navigate(window) {
+  window.document.dispatchEvent(new window.Event('yt-navigate-start'));
+  window.history.pushState({}, '', NEXT_PAGE_URL);
+  window.document.querySelector('ytd-watch-flexy').setAttribute('video-id', 'dQw4w9WgXcQ');
+  window.document.dispatchEvent(new window.Event('yt-navigate-finish'));
+  await yieldToPage(window);
+}
+
+async function main() {
+  const args = readArguments(process.argv.slice(2));
+  const scripts = getScripts(args.content);
+
+  const dom = new JSDOM(fs.readFileSync(FIXTURE, 'utf8'), {
+    url: PAGE_URL,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.console.log = () => {};
+  window.console.error = () => {};
+  window.chrome = createChromeStub();
+
+  const stats = {
+    observersCreated: 0,
+    callbacks: 0,
+    callbackMs: 0,
+    intervals: [],
+    intervalTicks: 0,
+    intervalMs: 0
+  };
+  instrument(window, stats);
+
+  const context = dom.getInternalVMContext();
+  for (const script of scripts) {
+    new vm.Script(fs.readFileSync(script, 'utf8'), { filename: script }).runInContext(context);
+  }
+
+  const buttonMs = await waitForButton(window);
+  const setup = { observers: stats.observersCreated, callbacks: stats.callbacks };
+  const sessionMs = await playSession(window, stats, args.seconds);
+  const session = {
+    callbacks: stats.callbacks - setup.callbacks,
+    callbackMs: stats.callbackMs,
+    active: stats.activeObservers(),
+    body: stats.bodyObservers()
+  };
+  await navigate(window);
+  const navigationButtonMs = await waitForButton(window);
+
+  const rows = [
+    ['Scripts', args.content ? path.basename(scripts[0]) : `manifest.json (${scripts.length} files)`],
+    ['Button placed after', buttonMs === null ? 'not placed' : `${buttonMs} ms`],
+    ['Observers created during setup', setup.observers],
+    [`Session (${args.seconds} s simulated)`, `${sessionMs} ms wall time`],
+    ['  observers active', session.active],
+    ['  observers watching the whole body', session.body],
+    ['  observer callbacks', `${session.callbacks} (${session.callbackMs.toFixed(1)} ms)`],
+    ['  interval timers', `${stats.intervals.length}, ${stats.intervalTicks} ticks (${stats.intervalMs.toFixed(1)} ms)`],
+    ['After navigation', ''],
+    ['  button present', navigationButtonMs === null ? 'no' : `yes, after ${navigationButtonMs} ms`],
+    ['  observers active', stats.activeObservers()],
+    ['  observers created in total', stats.observersCreated]
+  ];
+  const width = Math.max(...rows.map(([label]) => label.length));
+  for (const [label, value] of rows) {
+    console.log(`${label.padEnd(width)}  ${value}`);
+  }
+}
+
+// Timers the scripts left behind would keep the process alive, and closing the window makes
+// some scripts' observers throw, so the process just ends
+main().then(() => process.exit(0), error => {
+  console.error(error);
+  process.exit(1);
+});
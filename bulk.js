@@ -0,0 +1,433 @@
+// Bulk transcript download for playlists and channel video lists
+//
+// Video IDs are read from the page's ytInitialData, following continuation tokens through
+// the same browse endpoint YouTube uses while scrolling, so the whole list is collected and
+// not just what has been rendered. Each video's transcript then goes through
+// fetchTranscriptForVideo, and the results are bundled into one ZIP with an index file.
+
+// Transcripts fetched at the same time
+const BULK_CONCURRENCY = 3;
+
+// Pause after each request, per worker, to stay polite to YouTube
+const BULK_REQUEST_DELAY = 500;
+
+// Upper bound on continuation pages, in case YouTube keeps returning tokens
+const BULK_MAX_PAGES = 200;
+
+// State of the running bulk download, null when idle
+let bulkDownloadState = null;
+
+// Which kind of list page this is: 'playlist', 'channel' or null
+function getBulkPageType() {
+  // List continuations come from www.youtube.com's own API, so other origins are left out
+  if (window.location.hostname !== 'www.youtube.com') {
+    return null;
+  }
+
+  const path = window.location.pathname;
+  if (path === '/playlist' && new URLSearchParams(window.location.search).get('list')) {
+    return 'playlist';
+  }
+  if (/^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)\/(videos|streams)\/?$/.test(path)) {
+    return 'channel';
+  }
+  return null;
+}
+
+// Show the bulk download button on list pages and remove it elsewhere
+function updateBulkDownloadButton() {
+  const existingButton = document.getElementById('transcript-bulk-btn');
+
+  if (!getBulkPageType()) {
+    if (existingButton) {
+      existingButton.remove();
+    }
+    return;
+  }
+
+  if (existingButton || bulkDownloadState) return;
+
+  const bulkBtn = document.createElement('button');
+  bulkBtn.id = 'transcript-bulk-btn';
+  bulkBtn.textContent = chrome.i18n.getMessage('bulkButton');
+  bulkBtn.style.cssText = `
+    position: fixed;
+    right: 24px;
+    bottom: 24px;
+    z-index: 2300;
+    padding: 10px 18px;
+    background-color: #cc0000;
+    color: white;
+    border: none;
+    border-radius: 18px;
+    font-family: "Roboto", "Arial", sans-serif;
+    font-size: 14px;
+    font-weight: bold;
+    cursor: pointer;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+    transition: background-color 0.2s ease;
+  `;
+
+  bulkBtn.addEventListener('mouseenter', () => {
+    bulkBtn.style.backgroundColor = '#a00000';
+  });
+
+  bulkBtn.addEventListener('mouseleave', () => {
+    bulkBtn.style.backgroundColor = '#cc0000';
+  });
+
+  bulkBtn.addEventListener('click', () => {
+    bulkBtn.remove();
+    runBulkDownload();
+  });
+
+  document.body.appendChild(bulkBtn);
+  log('Bulk download button added');
+}
+
+// Collect every video on the current playlist or channel page as { title, videos: [{ videoId, title }] }
+// Requests go through fetchYouTube, so throttled pages are retried; aborting signal while
+// continuation pages load keeps the videos found so far
+async function collectBulkVideos(onProgress, signal) {
+  // The page's own scripts are stale after SPA navigation, so fetch the list page fresh
+  const response = await fetchYouTube(window.location.href, { credentials: 'include', signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch list page: ${response.status} ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  const initialData = extractJsonAssignment(html, 'ytInitialData');
+  if (!initialData) {
+    throw new Error('No initial data found in list page');
+  }
+
+  // Only walk the selected tab, so featured rows and sidebars are left out
+  const tabs = initialData.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+  const selectedTab = tabs.find(tab => tab.tabRenderer?.selected) || tabs[0];
+  const found = { videos: [], continuation: null };
+  findListVideos(selectedTab?.tabRenderer?.content || initialData.contents, found);
+  onProgress(found.videos.length);
+
+  const innertube = getInnertubeConfig(html);
+  let pages = 0;
+
+  while (found.continuation && innertube && pages < BULK_MAX_PAGES) {
+    const continuation = found.continuation;
+    found.continuation = null;
+    pages++;
+
+    let pageResponse;
+    try {
+      pageResponse = await fetchYouTube(`https://www.youtube.com/youtubei/v1/browse?key=${innertube.apiKey}&prettyPrint=false`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ context: innertube.context, continuation }),
+        signal
+      });
+    } catch (error) {
+      if (!signal || !signal.aborted) throw error;
+      log(`Stopped collecting, keeping ${found.videos.length} videos`);
+      break;
+    }
+
+    if (!pageResponse.ok) {
+      log(`Continuation request failed: ${pageResponse.status}, keeping ${found.videos.length} videos`);
+      break;
+    }
+
+    findListVideos(await pageResponse.json(), found);
+    onProgress(found.videos.length);
+  }
+
+  // Playlists can list a video more than once
+  const seen = new Set();
+  const videos = found.videos.filter(video => {
+    if (seen.has(video.videoId)) return false;
+    seen.add(video.videoId);
+    return true;
+  });
+
+  const title = initialData.metadata?.playlistMetadataRenderer?.title ||
+    initialData.metadata?.channelMetadataRenderer?.title ||
+    document.title.replace(/ - YouTube$/, '');
+
+  log(`Collected ${videos.length} videos from ${pages + 1} pages`);
+  return { title, videos };
+}
+
+// Walk list data, collecting video entries and the continuation token for the next page
+function findListVideos(node, found) {
+  if (Array.isArray(node)) {
+    node.forEach(child => findListVideos(child, found));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  const renderer = node.playlistVideoRenderer || node.videoRenderer || node.gridVideoRenderer;
+  if (renderer && renderer.videoId) {
+    found.videos.push({ videoId: renderer.videoId, title: getRendererText(renderer.title) });
+    return;
+  }
+
+  const lockup = node.lockupViewModel;
+  if (lockup && lockup.contentId && lockup.contentType === 'LOCKUP_CONTENT_TYPE_VIDEO') {
+    found.videos.push({
+      videoId: lockup.contentId,
+      title: lockup.metadata?.lockupMetadataViewModel?.title?.content || ''
+    });
+    return;
+  }
+
+  const token = node.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token;
+  if (token) {
+    found.continuation = token;
+    return;
+  }
+
+  Object.values(node).forEach(child => findListVideos(child, found));
+}
+
+// Read the API key and client context that YouTube's own requests use
+function getInnertubeConfig(html) {
+  const apiKeyMatch = html.match(/"INNERTUBE_API_KEY"\s*:\s*"([^"]+)"/);
+  const contextIndex = html.indexOf('"INNERTUBE_CONTEXT"');
+  if (!apiKeyMatch || contextIndex === -1) {
+    log('No innertube config found, only the first page of videos is available');
+    return null;
+  }
+
+  const context = extractJsonObjectAt(html, html.indexOf('{', contextIndex), 'INNERTUBE_CONTEXT');
+  return context ? { apiKey: apiKeyMatch[1], context } : null;
+}
+
+// Run worker over items with at most limit calls in flight
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Fetch every transcript on the page and save them as one ZIP
+async function runBulkDownload() {
+  if (bulkDownloadState) return;
+
+  // controller stops the list collection; transcripts already being fetched are finished
+  const state = { stopped: false, controller: new AbortController() };
+  bulkDownloadState = state;
+  const panel = createBulkProgressPanel(() => {
+    state.stopped = true;
+    state.controller.abort();
+    panel.setStatus(chrome.i18n.getMessage('bulkStopping'));
+  });
+
+  try {
+    const settings = await loadSettings();
+    const format = settings.defaultFormat;
+
+    panel.setStatus(chrome.i18n.getMessage('bulkCollecting'));
+    const { title, videos } = await collectBulkVideos(count => {
+      panel.setStatus(chrome.i18n.getMessage('bulkCollectingCount', String(count)));
+    }, state.controller.signal);
+
+    if (videos.length === 0) {
+      throw new Error('No videos found on this page');
+    }
+
+    const results = [];
+    let done = 0;
+    panel.setProgress(0, videos.length);
+
+    await runWithConcurrency(videos, BULK_CONCURRENCY, async (video, index) => {
+      if (state.stopped) return;
+
+      const position = String(index + 1).padStart(String(videos.length).length, '0');
+      try {
+        const transcript = await fetchTranscriptForVideo(video.videoId, {
+          preferredLanguages: settings.preferredLanguages
+        });
+        const text = formatTranscript(transcript, format, getFormatOptions(settings));
+        const filename = `${position} - ${buildFilename(transcript, format, settings.filenameTemplate)}`;
+        results[index] = {
+          video,
+          filename,
+          content: createTranscriptFileContent(text, transcript, format, settings),
+          language: transcript.language
+        };
+      } catch (error) {
+        log(`Bulk download failed for ${video.videoId}: ${error.message}`);
+        results[index] = { video, error: error.message };
+        panel.addFailure(video, describeTranscriptError(error));
+      }
+
+      done++;
+      panel.setProgress(done, videos.length);
+      panel.setStatus(chrome.i18n.getMessage('bulkFetched', [String(done), String(videos.length)]));
+      await new Promise(resolve => setTimeout(resolve, BULK_REQUEST_DELAY));
+    });
+
+    const files = results.filter(result => result && result.content)
+      .map(result => ({ name: result.filename, content: result.content }));
+
+    if (files.length === 0) {
+      panel.setStatus(chrome.i18n.getMessage(state.stopped ? 'bulkStoppedEmpty' : 'bulkNoneFetched'));
+      return;
+    }
+
+    files.push({ name: 'index.csv', content: createBulkIndex(videos, results) });
+    panel.setStatus(chrome.i18n.getMessage('bulkSaving'));
+    const zipPath = buildDownloadPath(`${sanitizeFilename(title) || 'youtube'} transcripts.zip`, settings.downloadFolder, {
+      title,
+      date: new Date().toISOString().slice(0, 10)
+    });
+    const download = await saveFile(createZip(files), 'application/zip', zipPath, settings);
+    if (download.state !== 'complete') {
+      throw new Error(`ZIP archive was not saved (${download.error || download.state})`);
+    }
+
+    const failedCount = results.filter(result => result && result.error).length;
+    const savedCount = String(files.length - 1);
+    panel.setStatus((failedCount > 0
+      ? chrome.i18n.getMessage('bulkSavedWithFailures', [savedCount, String(failedCount)])
+      : chrome.i18n.getMessage('bulkSaved', savedCount)) +
+      (state.stopped ? ' ' + chrome.i18n.getMessage('bulkStoppedEarly') : ''));
+
+  } catch (error) {
+    // Stopped while the list page itself was loading
+    if (error === state.controller.signal.reason) {
+      panel.setStatus(chrome.i18n.getMessage('bulkStoppedEmpty'));
+      return;
+    }
+    log('Bulk download failed: ' + error.message);
+    console.error('Bulk download failed:', error);
+    panel.setStatus(chrome.i18n.getMessage('bulkFailed', describeTranscriptError(error)));
+  } finally {
+    bulkDownloadState = null;
+    panel.finish();
+  }
+}
+
+// CSV listing every video with its outcome
+function createBulkIndex(videos, results) {
+  const rows = [['position', 'video_id', 'title', 'url', 'status', 'language', 'file', 'error']];
+
+  videos.forEach((video, index) => {
+    const result = results[index];
+    const status = !result ? 'skipped' : result.error ? 'failed' : 'ok';
+    rows.push([
+      index + 1,
+      video.videoId,
+      video.title,
+      `https://www.youtube.com/watch?v=${video.videoId}`,
+      status,
+      (result && result.language) || '',
+      (result && result.filename) || '',
+      (result && result.error) || ''
+    ]);
+  });
+
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Quote a CSV field when it contains separators, quotes or line breaks
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Floating panel showing bulk download progress and failures
+function createBulkProgressPanel(onStop) {
+  const existingPanel = document.getElementById('transcript-bulk-panel');
+  if (existingPanel) {
+    existingPanel.remove();
+  }
+
+  const panel = document.createElement('div');
+  panel.id = 'transcript-bulk-panel';
+  panel.style.cssText = `
+    position: fixed;
+    right: 24px;
+    bottom: 24px;
+    z-index: 2300;
+    width: 340px;
+    max-height: 60vh;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 16px;
+    background-color: #282828;
+    color: white;
+    border-radius: 12px;
+    box-shadow: 0 4px 32px rgba(0, 0, 0, 0.4);
+    font-family: "Roboto", "Arial", sans-serif;
+    font-size: 13px;
+  `;
+
+  const heading = document.createElement('div');
+  heading.textContent = chrome.i18n.getMessage('bulkHeading');
+  heading.style.cssText = 'font-size: 15px; font-weight: bold;';
+
+  const status = document.createElement('div');
+
+  const progressTrack = document.createElement('div');
+  progressTrack.style.cssText = 'height: 6px; background-color: #3f3f3f; border-radius: 3px; overflow: hidden;';
+  const progressBar = document.createElement('div');
+  progressBar.style.cssText = 'height: 100%; width: 0; background-color: #cc0000; transition: width 0.2s ease;';
+  progressTrack.appendChild(progressBar);
+
+  const failuresHeading = document.createElement('div');
+  failuresHeading.style.cssText = 'display: none; color: #ff8a80; font-weight: bold;';
+  const failuresList = document.createElement('ul');
+  failuresList.style.cssText = 'margin: 0; padding-left: 18px; overflow-y: auto; color: #ccc;';
+
+  const actionButton = document.createElement('button');
+  actionButton.textContent = chrome.i18n.getMessage('bulkStop');
+  actionButton.style.cssText = `
+    align-self: flex-end;
+    padding: 6px 14px;
+    background-color: #3f3f3f;
+    color: white;
+    border: none;
+    border-radius: 14px;
+    cursor: pointer;
+  `;
+  actionButton.addEventListener('click', () => {
+    if (bulkDownloadState) {
+      actionButton.disabled = true;
+      onStop();
+    } else {
+      panel.remove();
+      updateBulkDownloadButton();
+    }
+  });
+
+  panel.append(heading, status, progressTrack, failuresHeading, failuresList, actionButton);
+  document.body.appendChild(panel);
+
+  let failureCount = 0;
+  return {
+    setStatus(message) {
+      status.textContent = message;
+    },
+    setProgress(done, total) {
+      progressBar.style.width = total > 0 ? `${Math.round((done / total) * 100)}%` : '0';
+    },
+    addFailure(video, message) {
+      failureCount++;
+      failuresHeading.style.display = 'block';
+      failuresHeading.textContent = chrome.i18n.getMessage('bulkFailures', String(failureCount));
+      const item = document.createElement('li');
+      item.textContent = `${video.title || video.videoId}: ${message}`;
+      failuresList.appendChild(item);
+    },
+    finish() {
+      actionButton.disabled = false;
+      actionButton.textContent = chrome.i18n.getMessage('bulkClose');
+    }
+  };
+}
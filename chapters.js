@@ -0,0 +1,125 @@
+// Chapter detection
+//
+// Chapters come from, in order of preference:
+// 1. the chapters engagement panel in ytInitialData (macroMarkersListRenderer)
+// 2. the chapter markers on the player bar in ytInitialData (multiMarkersPlayerBarRenderer)
+// 3. a timestamp list in the video description
+// Each source yields [{ start, title }] with start in seconds, sorted by start.
+
+// Find the current video's chapters, or an empty list when it has none
+function getChapters(playerResponse = extractPlayerResponse(), initialData = extractInitialData()) {
+  try {
+    const panelChapters = getChaptersFromEngagementPanel(initialData);
+    if (panelChapters.length > 0) {
+      log(`Found ${panelChapters.length} chapters in engagement panel data`);
+      return panelChapters;
+    }
+    
+    const playerBarChapters = getChaptersFromPlayerBar(initialData);
+    if (playerBarChapters.length > 0) {
+      log(`Found ${playerBarChapters.length} chapters in player bar data`);
+      return playerBarChapters;
+    }
+    
+    const descriptionChapters = parseDescriptionChapters(playerResponse?.videoDetails?.shortDescription || '');
+    if (descriptionChapters.length > 0) {
+      log(`Found ${descriptionChapters.length} chapters in description`);
+      return descriptionChapters;
+    }
+    
+    return [];
+  } catch (error) {
+    log('Error detecting chapters: ' + error.message);
+    return [];
+  }
+}
+
+// Chapters listed in the "Chapters" engagement panel
+function getChaptersFromEngagementPanel(initialData) {
+  const panels = initialData?.engagementPanels || [];
+  const chapterPanel = panels.find(panel =>
+    panel.engagementPanelSectionListRenderer?.panelIdentifier === 'engagement-panel-macro-markers-description-chapters'
+  );
+  const items = chapterPanel?.engagementPanelSectionListRenderer?.content?.macroMarkersListRenderer?.contents || [];
+  
+  const chapters = items
+    .map(item => item.macroMarkersListItemRenderer)
+    .filter(Boolean)
+    .map(marker => ({
+      start: marker.onTap?.watchEndpoint?.startTimeSeconds ?? parseTimestamp(marker.timeDescription?.simpleText || ''),
+      title: getRendererText(marker.title)
+    }));
+  
+  return normalizeChapters(chapters);
+}
+
+// Chapters drawn as markers on the player's progress bar
+function getChaptersFromPlayerBar(initialData) {
+  const playerBar = initialData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+    ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer;
+  const markers = playerBar?.markersMap || [];
+  const chapterMarkers = markers.find(marker => marker.key === 'DESCRIPTION_CHAPTERS') || markers[0];
+  const items = chapterMarkers?.value?.chapters || [];
+  
+  const chapters = items
+    .map(item => item.chapterRenderer)
+    .filter(Boolean)
+    .map(chapter => ({
+      start: (chapter.timeRangeStartMillis || 0) / 1000,
+      title: getRendererText(chapter.title)
+    }));
+  
+  return normalizeChapters(chapters);
+}
+
+// Chapters written in the description as "0:00 Intro" or "Intro - 0:00" lines
+function parseDescriptionChapters(description) {
+  const timestampPattern = '[\\[(]?((?:\\d{1,2}:)?\\d{1,2}:\\d{2})[\\])]?';
+  const timeFirst = new RegExp(`^\\s*${timestampPattern}\\s*[-–—:|.)]?\\s*(.+)$`);
+  const timeLast = new RegExp(`^\\s*(.+?)\\s*[-–—:|]?\\s*${timestampPattern}\\s*$`);
+  const chapters = [];
+  
+  for (const line of description.split('\n')) {
+    let match = line.match(timeFirst);
+    if (match) {
+      chapters.push({ start: parseTimestamp(match[1]), title: match[2] });
+      continue;
+    }
+    
+    match = line.match(timeLast);
+    if (match) {
+      chapters.push({ start: parseTimestamp(match[2]), title: match[1] });
+    }
+  }
+  
+  // Like YouTube, only treat the list as chapters when it starts at 0:00
+  const normalized = normalizeChapters(chapters);
+  if (normalized.length < 2 || normalized[0].start !== 0) {
+    return [];
+  }
+  return normalized;
+}
+
+// Clean up chapter titles and order chapters by start time
+function normalizeChapters(chapters) {
+  const seenStarts = new Set();
+  
+  return chapters
+    .filter(chapter => typeof chapter.start === 'number' && !isNaN(chapter.start))
+    .map(chapter => ({
+      start: chapter.start,
+      title: (chapter.title || '').replace(/\s+/g, ' ').trim() || `Chapter at ${formatTimestamp(chapter.start)}`
+    }))
+    .sort((a, b) => a.start - b.start)
+    .filter(chapter => {
+      if (seenStarts.has(chapter.start)) return false;
+      seenStarts.add(chapter.start);
+      return true;
+    });
+}
+
+// Read the text of a YouTube renderer text object ({ simpleText } or { runs })
+function getRendererText(textObject) {
+  if (!textObject) return '';
+  return textObject.simpleText || (textObject.runs || []).map(run => run.text).join('');
+}
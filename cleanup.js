@@ -0,0 +1,198 @@
+// Caption clean-up applied before a transcript is rendered
+//
+// Captions carry markup meant for viewers rather than readers:
+//   [Music] [Applause] (LAUGHTER) ♪    sound-effect tags
+//   >> so what happened                speaker change, speaker unknown
+//   >> JANE: I was there               speaker change with a name
+//   - Jane: I was there                speaker change with a name, at the start of a caption
+//   um, uh                             filler words (English only)
+// Speech recognition (ASR) tracks are also lower-case, with "i" for "I" in English.
+// cleanTranscript returns a cleaned copy; stored transcripts always keep the original text.
+
+// Filler words dropped by the removeFillerWords option (as English ASR writes them)
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'hmm', 'mm'];
+
+// Label for speaker turns marked only by >>
+const UNKNOWN_SPEAKER_LABEL = 'Speaker';
+
+// [anything], (ALL CAPS) and music notes
+const SOUND_TAG_PATTERN = /\[[^\]]*\]|\([^)a-z]*[A-Z][^)a-z]*\)|[♪♫]+/g;
+
+// A speaker name before its colon: up to three capitalised words
+const SPEAKER_NAME = "[A-Z][\\w.'’-]*(?: [A-Z][\\w.'’-]*){0,2}";
+
+// >> markers, each optionally followed by "NAME:"
+const TURN_MARKER_PATTERN = new RegExp(`>>\\s*(?:(${SPEAKER_NAME}):\\s*)?`, 'g');
+
+// "- Name:" at the start of a caption
+const DASH_SPEAKER_PATTERN = new RegExp(`^-\\s*(${SPEAKER_NAME}):\\s*`);
+
+const FILLER_WORD_PATTERN = new RegExp(`\\b(?:${FILLER_WORDS.join('|')})\\b[,.]?`, 'gi');
+
+// Clean a transcript as options ask, every option being off unless set:
+// removeSoundTags, labelSpeakers turns speaker markers into "Name: " labels at the start of
+// their own segment, removeFillerWords and normalizeCase fixes capitals in ASR text
+// Filler words and the "I" fix only apply to English text ("i" is a word of its own in
+// Italian and Catalan)
+function cleanTranscript(transcript, options = {}) {
+  const { labelSpeakers = false, normalizeCase = false } = options;
+  const fixCase = normalizeCase && transcript.isAutoGenerated;
+  // A translation replaces the text unless the transcript is bilingual
+  const translation = transcript.translation;
+  const english = isEnglish(translation && !translation.bilingual ? translation.language : transcript.language);
+  const textOptions = { ...options, removeFillerWords: Boolean(options.removeFillerWords) && english };
+  const translationOptions = {
+    ...options,
+    removeFillerWords: Boolean(options.removeFillerWords) && Boolean(translation) && isEnglish(translation.language)
+  };
+  const segments = [];
+  let pendingSpeaker = null;
+
+  for (const segment of transcript.segments) {
+    const turns = labelSpeakers ? splitSpeakerTurns(segment) : [segment];
+
+    for (const turn of turns) {
+      const text = cleanCaptionText(turn.text, textOptions);
+      // A turn can be nothing but a sound tag; its speaker then moves to the next text
+      const speaker = turn.speaker || pendingSpeaker;
+      if (!text) {
+        pendingSpeaker = speaker;
+        continue;
+      }
+      pendingSpeaker = null;
+
+      const cleaned = { ...turn, text };
+      delete cleaned.speaker;
+      if (fixCase) {
+        const previous = segments[segments.length - 1];
+        const startsSentence = !previous || Boolean(speaker) || /[.!?…]["')\]]*$/.test(previous.text);
+        cleaned.text = fixAsrCase(text, startsSentence, english);
+      }
+      if (speaker) {
+        cleaned.speaker = speaker;
+        cleaned.text = `${speaker}: ${cleaned.text}`;
+      }
+      if (turn.translatedText) {
+        cleaned.translatedText = cleanCaptionText(turn.translatedText.replace(TURN_MARKER_PATTERN, ''), translationOptions);
+      }
+      if (turn.words) {
+        const words = cleanWords(turn.words, textOptions, fixCase, english);
+        if (words.length > 0) {
+          cleaned.words = words;
+        } else {
+          delete cleaned.words;
+        }
+      }
+      segments.push(cleaned);
+    }
+  }
+
+  return { ...transcript, segments };
+}
+
+// Whether a caption language code is English (en, en-GB, ...); unknown languages are not
+function isEnglish(language) {
+  return /^en(?:-|$)/i.test(language || '');
+}
+
+// Split a segment at its speaker markers into turns, marker text removed
+// Each turn after a marker gets a speaker label; time is shared out by text length
+function splitSpeakerTurns(segment) {
+  const dashMatch = segment.text.match(DASH_SPEAKER_PATTERN);
+  const text = dashMatch ? '>> ' + dashMatch[1] + ': ' + segment.text.slice(dashMatch[0].length) : segment.text;
+
+  const pieces = [];
+  let lastIndex = 0;
+  let speaker = null;
+  for (const match of text.matchAll(TURN_MARKER_PATTERN)) {
+    pieces.push({ text: text.slice(lastIndex, match.index), speaker });
+    speaker = match[1] ? formatSpeakerName(match[1]) : UNKNOWN_SPEAKER_LABEL;
+    lastIndex = match.index + match[0].length;
+  }
+  if (pieces.length === 0) {
+    return [segment];
+  }
+  pieces.push({ text: text.slice(lastIndex), speaker });
+
+  const turns = pieces.filter(piece => piece.text.trim() || piece.speaker);
+  const totalLength = turns.reduce((sum, piece) => sum + piece.text.length, 0) || 1;
+  let offset = 0;
+
+  return turns.map((piece, i) => {
+    const start = segment.start + segment.duration * offset / totalLength;
+    offset += piece.text.length;
+    const end = segment.start + segment.duration * offset / totalLength;
+
+    const turn = { ...segment, start, duration: end - start, text: piece.text };
+    if (piece.speaker) {
+      turn.speaker = piece.speaker;
+    } else {
+      delete turn.speaker;
+    }
+    if (i > 0) {
+      // The translation can't be split at the same points, so it stays with the first turn
+      delete turn.translatedText;
+    }
+    if (segment.words) {
+      turn.words = segment.words
+        .filter(word => {
+          const time = segment.start + word.offset;
+          return time >= start && (time < end || i === turns.length - 1);
+        })
+        .map(word => ({ ...word, offset: segment.start + word.offset - start }));
+    }
+    return turn;
+  });
+}
+
+// Names in all capitals (JANE DOE) are written as Jane Doe
+function formatSpeakerName(name) {
+  if (name !== name.toUpperCase() || name.length < 2) {
+    return name;
+  }
+  return name.toLowerCase().replace(/(^|[\s'’-])(\w)/g, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// Remove tags, markers and fillers from one caption text and tidy its whitespace
+function cleanCaptionText(text, { removeSoundTags = false, removeFillerWords = false } = {}) {
+  let cleaned = text;
+  if (removeSoundTags) {
+    cleaned = cleaned.replace(SOUND_TAG_PATTERN, ' ');
+  }
+  if (removeFillerWords) {
+    cleaned = cleaned.replace(FILLER_WORD_PATTERN, ' ');
+  }
+
+  return cleaned
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/([,;:])(?=[,.!?;:])/g, '')
+    .replace(/^[\s,;:.]+/, '')
+    .trim();
+}
+
+// Clean word-level timing the same way, dropping words that end up empty
+function cleanWords(words, options, fixCase, english) {
+  return words
+    .map(word => {
+      let text = cleanCaptionText(word.text.replace(TURN_MARKER_PATTERN, ''), options);
+      if (fixCase) {
+        text = fixAsrCase(text, false, english);
+      }
+      return { ...word, text };
+    })
+    .filter(word => word.text);
+}
+
+// Capitalise sentence starts inside the text, when startsSentence the first letter and, in
+// English text, "I" and its contractions
+function fixAsrCase(text, startsSentence, english) {
+  let fixed = text.replace(/([.!?…]\s+)(\p{Ll})/gu, (match, end, letter) => end + letter.toUpperCase());
+  if (english) {
+    fixed = fixed.replace(/\bi(?=$|[\s,.!?;:]|['’](?:m|ve|ll|d)\b)/g, 'I');
+  }
+  if (startsSentence) {
+    fixed = fixed.replace(/^(["'(]*)(\p{Ll})/u, (match, opening, letter) => opening + letter.toUpperCase());
+  }
+  return fixed;
+}
@@ -3,76 +3,374 @@ function log(message) {
   console.log('[YouTube Transcript Extension]', message);
 }
 
-// Wait for the page to load and find the subscribe button area
-function waitForElement(selector, timeout = 10000) {
+// Wait until one of the selectors matches inside root, resolving with { element, selector }
+// Earlier selectors win when several match. A single observer watches root and stops on a
+// match, after timeout milliseconds, or when signal is aborted
+function waitForAnyElement(selectors, { root = document.body, timeout = 10000, signal } = {}) {
   return new Promise((resolve, reject) => {
-    log(`Looking for element: ${selector}`);
-    const element = document.querySelector(selector);
-    if (element) {
-      log(`Found element immediately: ${selector}`);
-      resolve(element);
+    const findMatch = () => {
+      for (const selector of selectors) {
+        const element = root.querySelector(selector);
+        if (element) {
+          return { element, selector };
+        }
+      }
+      return null;
+    };
+    
+    const match = findMatch();
+    if (match) {
+      resolve(match);
       return;
     }
-
-    const observer = new MutationObserver((mutations, obs) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        log(`Found element after mutation: ${selector}`);
-        obs.disconnect();
-        resolve(element);
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const finish = (result, error) => {
+      observer.disconnect();
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+    const onAbort = () => finish(null, signal.reason);
+    
+    const observer = new MutationObserver(() => {
+      const match = findMatch();
+      if (match) {
+        finish(match);
       }
     });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
-
-    setTimeout(() => {
-      observer.disconnect();
-      log(`Element not found within timeout: ${selector}`);
-      reject(new Error(`Element ${selector} not found within ${timeout}ms`));
+    observer.observe(root, { childList: true, subtree: true });
+    
+    const timer = setTimeout(() => {
+      finish(null, new Error(`None of ${selectors.join(', ')} found within ${timeout}ms`));
     }, timeout);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
   });
 }
 
-// Extract video ID from current URL
+// State of the page on screen, replaced on every navigation:
+// controller aborts pending waits, observer watches the row the button sits in,
+// buttonTask is the addTranscriptButton attempt in progress and buttonRetries counts the
+// attempts that found no subscribe row
+let pageLifecycle = null;
+
+// Start a fresh lifecycle for the page on screen
+function startPageLifecycle() {
+  stopPageLifecycle();
+  pageLifecycle = { controller: new AbortController(), observer: null, buttonTask: null, buttonRetries: 0 };
+  return pageLifecycle;
+}
+
+// Cancel everything the current page's lifecycle is waiting on or observing
+function stopPageLifecycle() {
+  if (!pageLifecycle) return;
+  
+  pageLifecycle.controller.abort();
+  if (pageLifecycle.observer) {
+    pageLifecycle.observer.disconnect();
+  }
+  pageLifecycle = null;
+}
+
+// Extract video ID from current URL (see urls.js for the supported forms)
 function getVideoId() {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get('v');
+  return parseVideoId(window.location.href);
+}
+
+// Fetch a transcript for the video on the page
+// Only the desktop watch layout carries the video's player response and transcript panel;
+// on Shorts, embeds and the mobile site the watch page is fetched instead
+async function fetchPageTranscript(videoId, options = {}) {
+  if (getPageLayout() === 'watch') {
+    return await fetchTranscript(videoId, options);
+  }
+  return await fetchTranscriptForVideo(videoId, options);
+}
+
+// Transient failures (network errors and these statuses) are retried FETCH_RETRIES times,
+// waiting FETCH_RETRY_DELAY milliseconds before the first retry and twice as long each time after
+const FETCH_RETRIES = 3;
+const FETCH_RETRY_DELAY = 1000;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Fetch a www.youtube.com URL, retrying transient failures
+// Network failures are thrown as 'network' errors; HTTP errors are left to the caller
+async function fetchYouTube(url, init = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    try {
+      response = await fetchYouTubeOnce(url, init);
+    } catch (error) {
+      if (init.signal && init.signal.aborted) throw init.signal.reason;
+      if (attempt >= FETCH_RETRIES) {
+        throw createTranscriptError('network', error.message);
+      }
+      log(`Fetching ${url} failed: ${error.message}`);
+    }
+    
+    if (response && (!RETRYABLE_STATUSES.includes(response.status) || attempt >= FETCH_RETRIES)) {
+      return response;
+    }
+    
+    const delay = FETCH_RETRY_DELAY * 2 ** attempt;
+    log(`Retrying ${url} in ${delay}ms` + (response ? ` after HTTP ${response.status}` : ''));
+    await sleep(delay, init.signal);
+  }
+}
+
+// Fetch a www.youtube.com URL once
+// Pages on other YouTube origins (mobile site, privacy-enhanced embeds) are blocked by CORS,
+// so there the request goes through the background service worker
+async function fetchYouTubeOnce(url, init = {}) {
+  if (window.location.origin === 'https://www.youtube.com') {
+    return await fetch(url, init);
+  }
+  
+  // A signal can't be sent to the background, so it is only checked once the response is in
+  const { signal, ...messageInit } = init;
+  const data = await sendBackgroundMessage({ type: 'fetch-youtube', url, init: messageInit });
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  return new Response(data.body, { status: data.status, statusText: data.statusText });
+}
+
+// Wait for a number of milliseconds, rejecting early when signal is aborted
+function sleep(milliseconds, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, milliseconds);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Kinds of failure shown to the user, in the order they win when several steps fail,
+// with the _locales message describing each ('unknown' shows the error's own message)
+const TRANSCRIPT_ERROR_MESSAGES = {
+  'cancelled': 'errorCancelled',
+  'restricted': 'errorRestricted',
+  'no-captions': 'errorNoCaptions',
+  'network': 'errorNetwork',
+  'parse': 'errorParse',
+  'dom-changed': 'errorDomChanged',
+  'unknown': null
+};
+
+// Create an error with one of the categories of TRANSCRIPT_ERROR_MESSAGES
+function createTranscriptError(category, message) {
+  const error = new Error(message);
+  error.category = category;
+  return error;
+}
+
+// Error for a failed HTTP response
+function createHttpError(response, what) {
+  return createTranscriptError('network', `${what}: ${response.status} ${response.statusText}`.trim());
+}
+
+// Category of any error, guessed for errors thrown without one
+function getErrorCategory(error) {
+  if (error.category) return error.category;
+  if (error.name === 'AbortError') return 'cancelled';
+  if (error instanceof SyntaxError) return 'parse';
+  return 'unknown';
+}
+
+// The failure to report when every extraction step failed: the one of the most telling category
+function pickReportedError(errors) {
+  const categories = Object.keys(TRANSCRIPT_ERROR_MESSAGES);
+  return errors.reduce((best, error) =>
+    categories.indexOf(getErrorCategory(error)) < categories.indexOf(getErrorCategory(best)) ? error : best
+  );
+}
+
+// Describe a failure for the user
+function describeTranscriptError(error) {
+  const messageName = TRANSCRIPT_ERROR_MESSAGES[getErrorCategory(error)];
+  return messageName ? chrome.i18n.getMessage(messageName, error.message) : error.message;
+}
+
+// Statuses of playabilityStatus for videos that need a signed-in, old enough or paying viewer
+const RESTRICTED_PLAYABILITY_STATUSES = ['LOGIN_REQUIRED', 'AGE_CHECK_REQUIRED', 'AGE_VERIFICATION_REQUIRED', 'CONTENT_CHECK_REQUIRED'];
+
+// Throw when the player response says the video can't be watched
+// Age-restricted and members-only videos get the 'restricted' category
+function checkPlayability(playerResponse) {
+  const playability = playerResponse && playerResponse.playabilityStatus;
+  if (!playability || playability.status === 'OK') return;
+  
+  const message = playability.reason || `Video is not playable (${playability.status})`;
+  const errorScreen = playability.errorScreen || {};
+  // Members-only and paid videos show an offer to join instead of the player
+  const isMembersOnly = Boolean(errorScreen.playerLegacyDesktopYpcOfferRenderer || errorScreen.ypcTrailerRenderer);
+  if (RESTRICTED_PLAYABILITY_STATUSES.includes(playability.status) || isMembersOnly) {
+    throw createTranscriptError('restricted', message);
+  }
+  throw new Error(message);
+}
+
+// Get a transcript object (see formats.js) for the current video, reusing the library copy
+// when this track was fetched before
+// options.trackId picks a caption track, options.preferredLanguages orders automatic picks,
+// options.translateTo and options.bilingual request a machine translation,
+// options.usePanel: false skips YouTube's own transcript panel,
+// options.signal cancels and options.onProgress(step) is told about each step as it starts
+async function fetchTranscript(videoId, options = {}) {
+  reportProgress(options, 'library');
+  // The library is checked before any page data is needed, so a stored transcript is used
+  // without fetching the watch page after in-app navigation, and offline
+  const track = options.trackId ? parseTrackId(options.trackId) : null;
+  const stored = await loadFromLibrary({
+    videoId,
+    language: track ? track.language : null,
+    isAutoGenerated: track ? track.isAutoGenerated : undefined,
+    preferredLanguages: options.preferredLanguages,
+    translateTo: options.translateTo,
+    bilingual: options.bilingual
+  });
+  if (stored) {
+    return stored;
+  }
+  
+  throwIfCancelled(options);
+  const transcript = await extractTranscript(videoId, options);
+  // Never hand out another video's transcript, whatever went wrong on the way
+  if (transcript.videoId !== videoId) {
+    throw new Error(`Extracted transcript belongs to video ${transcript.videoId}, not ${videoId}`);
+  }
+  storeInLibrary(transcript);
+  return transcript;
+}
+
+// Tell options.onProgress which step of fetching a transcript is starting:
+// 'library', 'panel', 'automation', 'player-response', 'api', 'preview' or 'saving'
+function reportProgress(options, step) {
+  if (options.onProgress && !(options.signal && options.signal.aborted)) {
+    options.onProgress(step);
+  }
+}
+
+// Stop with the cancellation reason once options.signal is aborted
+function throwIfCancelled(options) {
+  if (options.signal) {
+    options.signal.throwIfAborted();
+  }
 }
 
-// Extract transcript data from the YouTube page
-async function fetchTranscript(videoId) {
+// Player response and initial data fetched for the current video when the page's are stale
+let freshPageData = null;
+
+// Player response and initial data of the video on screen
+// The page's scripts keep describing the first video loaded, so after in-app navigation
+// they are replaced by a freshly fetched copy of the video's watch page; signal cancels that fetch
+async function getCurrentPageData(signal) {
+  const videoId = getVideoId();
+  const playerResponse = extractPlayerResponse();
+  const pageVideoId = playerResponse?.videoDetails?.videoId;
+  if (!videoId || pageVideoId === videoId) {
+    return { playerResponse, initialData: extractInitialData() };
+  }
+  
+  if (!freshPageData || freshPageData.videoId !== videoId) {
+    log(`Page data is for video ${pageVideoId || 'unknown'}, fetching data for ${videoId}`);
+    freshPageData = { videoId, ...await fetchVideoPageData(videoId, signal) };
+  }
+  return { playerResponse: freshPageData.playerResponse, initialData: freshPageData.initialData };
+}
+
+// Extract a transcript object from the YouTube page; takes the same options as fetchTranscript
+// Each method is tried in turn; when all fail, the most telling of their errors is thrown
+async function extractTranscript(videoId, options = {}) {
   try {
     log(`Extracting transcript for video ID: ${videoId}`);
     
-    // Method 1: Try to find existing transcript data in the page
-    const pageTranscript = extractTranscriptFromPage();
-    if (pageTranscript) {
-      log('Found transcript data in page');
-      return pageTranscript;
+    // A chosen or preferred caption track can only be fetched through the player response,
+    // so go there first instead of reading whichever language the panel shows
+    const pageData = await getCurrentPageData(options.signal);
+    const { playerResponse, initialData } = pageData;
+    checkPlayability(playerResponse);
+    const captionTracks = getCaptionTracks(playerResponse);
+    if (options.trackId || options.translateTo || findPreferredTrack(captionTracks, options.preferredLanguages)) {
+      log('Caption track or translation chosen, using player response');
+      reportProgress(options, 'player-response');
+      return await extractTranscriptFromPlayerResponse(playerResponse, videoId, { ...options, initialData });
     }
     
-    // Method 2: Try to automatically open transcript and extract
-    const autoTranscript = await openAndExtractTranscript();
-    if (autoTranscript) {
-      log('Found transcript data via automation');
-      return autoTranscript;
+    const failures = [];
+    
+    if (options.usePanel !== false) {
+      // Method 1: Try to find existing transcript data in the page
+      reportProgress(options, 'panel');
+      const pageTranscript = extractTranscriptFromPage(pageData);
+      if (pageTranscript) {
+        log('Found transcript data in page');
+        return pageTranscript;
+      }
+      
+      // Method 2: Try to automatically open transcript and extract
+      throwIfCancelled(options);
+      reportProgress(options, 'automation');
+      try {
+        const autoTranscript = await openAndExtractTranscript(pageData, options.signal);
+        if (autoTranscript) {
+          log('Found transcript data via automation');
+          return autoTranscript;
+        }
+      } catch (error) {
+        throwIfCancelled(options);
+        failures.push(error);
+      }
     }
     
     // Method 3: Try to get transcript from ytInitialPlayerResponse
-    const playerResponse = extractPlayerResponse();
     if (playerResponse) {
-      const transcriptFromPlayer = await extractTranscriptFromPlayerResponse(playerResponse, videoId);
-      if (transcriptFromPlayer) {
+      throwIfCancelled(options);
+      reportProgress(options, 'player-response');
+      try {
+        const transcriptFromPlayer = await extractTranscriptFromPlayerResponse(playerResponse, videoId, { ...options, initialData });
         log('Found transcript data in player response');
         return transcriptFromPlayer;
+      } catch (error) {
+        throwIfCancelled(options);
+        failures.push(error);
       }
     }
     
     // Method 4: Try direct API call as fallback
-    return await fetchTranscriptFromAPI(videoId);
+    throwIfCancelled(options);
+    reportProgress(options, 'api');
+    try {
+      return await fetchTranscriptFromAPI(videoId, options.preferredLanguages, pageData, options.signal);
+    } catch (error) {
+      throwIfCancelled(options);
+      failures.push(error);
+      throw pickReportedError(failures);
+    }
     
   } catch (error) {
     log('Error fetching transcript: ' + error.message);
@@ -82,12 +380,13 @@ async function fetchTranscript(videoId) {
 }
 
 // Extract transcript from existing page elements
-function extractTranscriptFromPage() {
+// pageData ({ playerResponse, initialData }) describes the video, see getCurrentPageData
+function extractTranscriptFromPage(pageData = {}) {
   try {
     // Look for transcript panel if it's open
     const transcriptPanel = document.querySelector('ytd-transcript-renderer');
     if (transcriptPanel) {
-      return extractTranscriptFromOpenPanel(transcriptPanel);
+      return extractTranscriptFromOpenPanel(transcriptPanel, 'panel', pageData);
     }
     
     return null;
@@ -97,107 +396,89 @@ function extractTranscriptFromPage() {
   }
 }
 
+// Engagement panel holding the transcript, identified the same way in ytInitialData and on the page
+const TRANSCRIPT_PANEL_ID = 'engagement-panel-searchable-transcript';
+
 // Automatically open transcript panel and extract data
-async function openAndExtractTranscript() {
-  try {
-    log('Attempting to open transcript panel automatically');
-    
-    // First check if transcript is already open
-    let transcriptPanel = document.querySelector('ytd-transcript-renderer');
-    if (transcriptPanel) {
-      log('Transcript panel already open');
-      return extractTranscriptFromOpenPanel(transcriptPanel);
-    }
-    
-    // Look for the "Show transcript" button
-    const transcriptButtons = [
-      'button[aria-label*="transcript" i]',
-      'button[aria-label*="Show transcript" i]',
-      'yt-button-shape[aria-label*="transcript" i]',
-      '[role="button"][aria-label*="transcript" i]',
-      // Try more generic selectors
-      'ytd-menu-renderer yt-formatted-string:contains("transcript")',
-      'ytd-toggle-button-renderer[aria-label*="transcript" i]'
-    ];
-    
-    let transcriptButton = null;
-    
-    // Try each selector
-    for (const selector of transcriptButtons) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const text = element.textContent?.toLowerCase() || '';
-        const ariaLabel = element.getAttribute('aria-label')?.toLowerCase() || '';
-        if (text.includes('transcript') || ariaLabel.includes('transcript')) {
-          transcriptButton = element;
-          log(`Found transcript button with selector: ${selector}`);
-          break;
-        }
-      }
-      if (transcriptButton) break;
-    }
-    
-    // If no direct button found, try the three-dot menu
-    if (!transcriptButton) {
-      log('Looking for transcript in three-dot menu');
-      const moreButton = document.querySelector('ytd-menu-renderer #button, ytd-menu-renderer button[aria-label*="More" i]');
-      if (moreButton) {
-        log('Clicking more menu button');
-        moreButton.click();
-        
-        // Wait for menu to open and look for transcript option
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        const menuItems = document.querySelectorAll('ytd-menu-service-item-renderer, tp-yt-paper-item');
-        for (const item of menuItems) {
-          const text = item.textContent?.toLowerCase() || '';
-          if (text.includes('transcript')) {
-            transcriptButton = item;
-            log('Found transcript in dropdown menu');
-            break;
-          }
-        }
-      }
-    }
-    
-    if (!transcriptButton) {
-      log('No transcript button found');
-      return null;
-    }
-    
-    // Click the transcript button
-    log('Clicking transcript button');
-    transcriptButton.click();
-    
-    // Wait for the transcript panel to load
-    let attempts = 0;
-    const maxAttempts = 20; // 10 seconds max
-    
-    while (attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-      transcriptPanel = document.querySelector('ytd-transcript-renderer');
-      
-      if (transcriptPanel) {
-        log('Transcript panel opened successfully');
-        // Wait a bit more for content to load
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        return extractTranscriptFromOpenPanel(transcriptPanel);
-      }
-      
-      attempts++;
-    }
-    
-    log('Transcript panel did not open after clicking button');
+// The panel is found by its engagement-panel identifier, not by the text of YouTube's
+// "Show transcript" button, which is in the language of YouTube's interface
+// Returns null for videos without a transcript panel and throws a 'dom-changed' error when
+// the panel is there but can't be opened or read; signal stops the wait for it
+async function openAndExtractTranscript(pageData = {}, signal) {
+  log('Attempting to open transcript panel automatically');
+  
+  // First check if transcript is already open
+  let transcriptPanel = document.querySelector('ytd-transcript-renderer');
+  if (transcriptPanel) {
+    log('Transcript panel already open');
+    return extractTranscriptFromOpenPanel(transcriptPanel, 'panel', pageData);
+  }
+  
+  // Videos without a transcript have no transcript panel in their initial data
+  if (pageData.initialData && !hasTranscriptPanel(pageData.initialData)) {
+    log('Video has no transcript panel');
     return null;
-    
+  }
+  
+  // From here on the video has a transcript, so failing to read it means the page changed
+  if (!showTranscriptPanel()) {
+    throw createTranscriptError('dom-changed', 'No transcript panel found on page');
+  }
+  
+  // Wait for the panel to load its segments
+  let match;
+  try {
+    match = await waitForAnyElement([
+      `ytd-engagement-panel-section-list-renderer[target-id="${TRANSCRIPT_PANEL_ID}"] ytd-transcript-segment-renderer`,
+      'ytd-transcript-renderer ytd-transcript-segment-renderer'
+    ], { signal });
   } catch (error) {
-    log('Error in openAndExtractTranscript: ' + error.message);
-    return null;
+    if (signal && signal.aborted) throw error;
+    throw createTranscriptError('dom-changed', 'Transcript panel did not show any segments');
+  }
+  
+  transcriptPanel = match.element.closest('ytd-transcript-renderer');
+  const transcript = transcriptPanel && extractTranscriptFromOpenPanel(transcriptPanel, 'automation', pageData);
+  if (!transcript) {
+    throw createTranscriptError('dom-changed', 'Transcript panel segments could not be read');
   }
+  
+  log('Transcript panel opened successfully');
+  return transcript;
+}
+
+// Whether ytInitialData offers a transcript panel for the video
+function hasTranscriptPanel(initialData) {
+  const panels = initialData?.engagementPanels || [];
+  return panels.some(panel => {
+    const renderer = panel.engagementPanelSectionListRenderer;
+    return renderer?.panelIdentifier === TRANSCRIPT_PANEL_ID || renderer?.targetId === TRANSCRIPT_PANEL_ID;
+  });
+}
+
+// Open the transcript panel, returning false when the page has no way to
+// The transcript section of the description has the button YouTube itself uses; without it
+// the panel is expanded directly, which is what that button does
+function showTranscriptPanel() {
+  const descriptionButton = document.querySelector('ytd-video-description-transcript-section-renderer button');
+  if (descriptionButton) {
+    log('Clicking transcript button in description');
+    descriptionButton.click();
+    return true;
+  }
+  
+  const panel = document.querySelector(`ytd-engagement-panel-section-list-renderer[target-id="${TRANSCRIPT_PANEL_ID}"]`);
+  if (panel) {
+    log('Expanding transcript engagement panel');
+    panel.setAttribute('visibility', 'ENGAGEMENT_PANEL_VISIBILITY_EXPANDED');
+    return true;
+  }
+  
+  return false;
 }
 
 // Extract transcript from an open transcript panel
-function extractTranscriptFromOpenPanel(transcriptPanel) {
+function extractTranscriptFromOpenPanel(transcriptPanel, source, pageData = {}) {
   try {
     const transcriptItems = transcriptPanel.querySelectorAll('ytd-transcript-segment-renderer');
     
@@ -206,35 +487,69 @@ function extractTranscriptFromOpenPanel(transcriptPanel) {
       return null;
     }
     
-    let transcriptWithTimestamps = '';
+    const segments = [];
     transcriptItems.forEach(item => {
       const textElement = item.querySelector('.segment-text, [class*="cue-group"] [class*="cue"]');
       const timestampElement = item.querySelector('.segment-timestamp, [class*="timestamp"]');
       
       if (textElement) {
         const text = textElement.textContent.trim();
-        const timestamp = timestampElement ? timestampElement.textContent.trim() : '';
+        const start = timestampElement ? parseTimestamp(timestampElement.textContent) : null;
+        if (!text) return;
         
-        if (timestamp) {
-          transcriptWithTimestamps += `[${timestamp}] ${text}\n`;
+        if (start === null && segments.length > 0) {
+          // Untimed lines belong to the segment before them
+          segments[segments.length - 1].text += ' ' + text;
         } else {
-          transcriptWithTimestamps += `${text}\n`;
+          segments.push({ start: start || 0, duration: null, text });
         }
       }
     });
     
-    if (transcriptWithTimestamps.trim()) {
-      log(`Extracted ${transcriptWithTimestamps.length} characters from open transcript panel with timestamps`);
-      return transcriptWithTimestamps.trim();
+    if (segments.length === 0) {
+      return null;
     }
     
-    return null;
+    // The panel only shows start times, so each segment runs until the next one
+    const video = document.querySelector('video');
+    const lastSegment = segments[segments.length - 1];
+    const lastDuration = video && video.duration > lastSegment.start
+      ? Math.min(video.duration - lastSegment.start, DEFAULT_LAST_SEGMENT_DURATION)
+      : DEFAULT_LAST_SEGMENT_DURATION;
+    fillMissingDurations(segments, lastDuration);
+    
+    // The footer's language menu shows the name of the track being displayed
+    const languageLabel = transcriptPanel.querySelector('ytd-transcript-footer-renderer yt-dropdown-menu');
+    const languageName = languageLabel ? languageLabel.textContent.trim() : null;
+    const playerResponse = pageData.playerResponse === undefined ? extractPlayerResponse() : pageData.playerResponse;
+    const track = findPanelTrack(getCaptionTracks(playerResponse), languageName);
+    
+    log(`Extracted ${segments.length} segments from open transcript panel`);
+    return createTranscript(segments, {
+      source,
+      language: track ? track.languageCode : null,
+      languageName: languageName || (track && getTrackName(track)),
+      isAutoGenerated: track ? track.kind === 'asr' : false,
+      playerResponse,
+      initialData: pageData.initialData
+    });
   } catch (error) {
     log('Error extracting from open panel: ' + error.message);
     return null;
   }
 }
 
+// Caption track the transcript panel shows, or null when it can't be told
+// The panel's language menu and the player response name tracks in the language of YouTube's
+// interface, so the names are compared; a video with a single track needs no name
+function findPanelTrack(tracks, languageName) {
+  if (tracks.length === 1) {
+    return tracks[0];
+  }
+  const name = languageName && languageName.replace(/\s+/g, ' ');
+  return (name && tracks.find(track => getTrackName(track).replace(/\s+/g, ' ') === name)) || null;
+}
+
 // Extract ytInitialPlayerResponse from page
 function extractPlayerResponse() {
   try {
@@ -280,272 +595,1473 @@ function extractPlayerResponse() {
   }
 }
 
-// Extract transcript from player response
-async function extractTranscriptFromPlayerResponse(playerResponse, videoId) {
-  try {
-    const captions = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
-    if (!captions || captions.length === 0) {
-      throw new Error('No captions found in player response');
+// List the caption tracks in a player response
+function getCaptionTracks(playerResponse) {
+  return playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+}
+
+// Stable identifier for a caption track (vssId is unique per language and kind)
+function getTrackId(track) {
+  return track.vssId || `${track.kind === 'asr' ? 'a' : ''}.${track.languageCode}`;
+}
+
+// Language and kind of the track an ID from getTrackId names, as { language, isAutoGenerated }
+// IDs look like ".en", "a.en" for speech recognition or ".en.nP7-2PuUl7o" for a named track
+function parseTrackId(trackId) {
+  const [kind, language] = trackId.split('.');
+  return { language: language || null, isAutoGenerated: kind === 'a' };
+}
+
+// Display name of a caption track
+function getTrackName(track) {
+  return track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode;
+}
+
+// Find the first track matching the preferred-language order, manual captions before ASR
+function findPreferredTrack(tracks, preferredLanguages = []) {
+  for (const language of preferredLanguages) {
+    const matches = tracks.filter(track =>
+      track.languageCode === language || track.languageCode.startsWith(language + '-')
+    );
+    const match = matches.find(track => track.kind !== 'asr') || matches[0];
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+// Pick the caption track to download
+function selectCaptionTrack(tracks, options = {}) {
+  if (options.trackId) {
+    const chosenTrack = tracks.find(track => getTrackId(track) === options.trackId);
+    if (chosenTrack) {
+      return chosenTrack;
+    }
+    log(`Chosen caption track ${options.trackId} not found, picking automatically`);
+  }
+  
+  // Preferred languages first, then English non-ASR, else any English, else first track
+  return findPreferredTrack(tracks, options.preferredLanguages) ||
+    tracks.find(track => track.languageCode.startsWith('en') && track.kind !== 'asr') ||
+    tracks.find(track => track.languageCode.startsWith('en')) ||
+    tracks[0];
+}
+
+// List the languages YouTube can machine-translate captions into
+function getTranslationLanguages(playerResponse) {
+  return playerResponse?.captions?.playerCaptionsTracklistRenderer?.translationLanguages || [];
+}
+
+// Display name of a translation language
+function getTranslationLanguageName(language) {
+  return language.languageName?.simpleText ||
+    language.languageName?.runs?.map(run => run.text).join('') ||
+    language.languageCode;
+}
+
+// Extract ytInitialData (page layout data, including engagement panels) from page
+function extractInitialData() {
+  try {
+    const scripts = document.querySelectorAll('script');
+    for (let script of scripts) {
+      const content = script.textContent;
+      if (content && content.includes('ytInitialData')) {
+        const data = extractJsonAssignment(content, 'ytInitialData');
+        if (data) {
+          log('Successfully extracted initial data');
+          return data;
+        }
+      }
+    }
+    
+    log('No initial data found');
+    return null;
+  } catch (error) {
+    log('Error extracting initial data: ' + error.message);
+    return null;
+  }
+}
+
+// Parse the object literal assigned to a variable in script text ("name = {...};")
+function extractJsonAssignment(text, variableName) {
+  const assignment = new RegExp(`${variableName}\\s*=\\s*\\{`).exec(text);
+  if (!assignment) return null;
+  return extractJsonObjectAt(text, assignment.index + assignment[0].length - 1, variableName);
+}
+
+// Parse the JSON object starting at the "{" at index start
+// Braces are matched while skipping strings, since the data is too large and nested for a regex
+function extractJsonObjectAt(text, start, label = 'JSON object') {
+  let depth = 0;
+  let inString = false;
+  
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (error) {
+          log(`Failed to parse ${label}: ${error.message}`);
+          return null;
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Fetch a video's watch page and read its player response and initial data
+// Used for videos other than the one on screen, where the page's own scripts don't apply
+async function fetchVideoPageData(videoId, signal) {
+  const response = await fetchYouTube(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, {
+    credentials: 'include',
+    signal
+  });
+  
+  if (!response.ok) {
+    throw createHttpError(response, 'Failed to fetch video page');
+  }
+  
+  const html = await response.text();
+  const playerResponse = extractJsonAssignment(html, 'ytInitialPlayerResponse');
+  if (!playerResponse) {
+    throw createTranscriptError('parse', 'No player response found in video page');
+  }
+  
+  return {
+    playerResponse,
+    initialData: extractJsonAssignment(html, 'ytInitialData')
+  };
+}
+
+// Fetch the transcript of any video by ID, without it being open on the page
+// options.signal and options.onProgress work as for fetchTranscript
+async function fetchTranscriptForVideo(videoId, options = {}) {
+  reportProgress(options, 'library');
+  const stored = await loadFromLibrary({
+    videoId,
+    preferredLanguages: options.preferredLanguages,
+    translateTo: options.translateTo,
+    bilingual: options.bilingual
+  });
+  if (stored) {
+    return stored;
+  }
+  
+  log(`Fetching transcript for video ID: ${videoId}`);
+  throwIfCancelled(options);
+  reportProgress(options, 'player-response');
+  const { playerResponse, initialData } = await fetchVideoPageData(videoId, options.signal);
+  checkPlayability(playerResponse);
+  
+  const transcript = await extractTranscriptFromPlayerResponse(playerResponse, videoId, { ...options, initialData });
+  storeInLibrary(transcript);
+  return transcript;
+}
+
+// Send a message to the background service worker and return its response data
+async function sendBackgroundMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response) {
+    throw new Error(`No response to ${message.type}`);
+  }
+  if (!response.ok) {
+    throw new Error(response.error);
+  }
+  return response.data;
+}
+
+// Look up a stored transcript for a request (see findLibraryTranscript in library.js)
+// The library only saves work, so any failure just means extracting again
+async function loadFromLibrary(request) {
+  try {
+    const transcript = await sendBackgroundMessage({ type: 'library-find', request });
+    if (transcript) {
+      log(`Using transcript for ${request.videoId} from library`);
+    }
+    return transcript;
+  } catch (error) {
+    log('Error reading transcript library: ' + error.message);
+    return null;
+  }
+}
+
+// Save a fetched transcript to the library without holding up the caller
+function storeInLibrary(transcript) {
+  sendBackgroundMessage({ type: 'library-save', transcript }).catch(error => {
+    log('Error saving transcript to library: ' + error.message);
+  });
+}
+
+// Extract transcript from player response
+// options.translateTo requests a machine translation, options.bilingual keeps the original alongside it
+async function extractTranscriptFromPlayerResponse(playerResponse, videoId, options = {}) {
+  try {
+    const captions = getCaptionTracks(playerResponse);
+    if (captions.length === 0) {
+      throw createTranscriptError('no-captions', 'No captions found in player response');
+    }
+    
+    log(`Found ${captions.length} caption tracks`);
+    captions.forEach((track, i) => {
+      log(`Track ${i}: ${getTrackName(track)} (${track.languageCode}) kind: ${track.kind || 'none'}`);
+    });
+    
+    // Find the best caption track
+    const selectedTrack = selectCaptionTrack(captions, options);
+    
+    if (!selectedTrack) {
+      throw createTranscriptError('no-captions', 'No suitable caption track found');
+    }
+    
+    log(`Using caption track: ${getTrackName(selectedTrack)} (${selectedTrack.languageCode})`);
+    log(`Base URL: ${selectedTrack.baseUrl}`);
+    
+    let translation = null;
+    let segments;
+    
+    if (options.translateTo && options.translateTo !== selectedTrack.languageCode) {
+      const targetLanguage = getTranslationLanguages(playerResponse)
+        .find(language => language.languageCode === options.translateTo);
+      if (!targetLanguage) {
+        throw createTranscriptError('no-captions', `Captions cannot be translated to ${options.translateTo}`);
+      }
+      
+      translation = {
+        language: targetLanguage.languageCode,
+        languageName: getTranslationLanguageName(targetLanguage),
+        bilingual: Boolean(options.bilingual)
+      };
+      
+      const translatedSegments = await fetchCaptionTrack(selectedTrack, translation.language, options.signal);
+      if (translation.bilingual) {
+        segments = mergeTranslation(await fetchCaptionTrack(selectedTrack, null, options.signal), translatedSegments);
+      } else {
+        segments = translatedSegments;
+      }
+    } else {
+      segments = await fetchCaptionTrack(selectedTrack, null, options.signal);
+    }
+    
+    return createTranscript(segments, {
+      source: 'player-response',
+      language: selectedTrack.languageCode,
+      languageName: getTrackName(selectedTrack),
+      isAutoGenerated: selectedTrack.kind === 'asr',
+      translation,
+      playerResponse,
+      initialData: options.initialData
+    });
+    
+  } catch (error) {
+    log('Error extracting transcript from player response: ' + error.message);
+    throw error;
+  }
+}
+
+// Fetch and parse a caption track, machine-translated when translateTo is given
+async function fetchCaptionTrack(track, translateTo = null, signal) {
+  // Fetch the transcript from the base URL
+  let transcriptUrl = track.baseUrl;
+  
+  // Ensure the URL is properly formatted
+  if (!transcriptUrl.startsWith('http')) {
+    transcriptUrl = 'https://www.youtube.com' + transcriptUrl;
+  }
+  
+  // Ask for srv3, which carries word-level timing for auto-generated tracks
+  if (!transcriptUrl.includes('fmt=')) {
+    transcriptUrl += transcriptUrl.includes('?') ? '&fmt=srv3' : '?fmt=srv3';
+  }
+  
+  if (translateTo) {
+    transcriptUrl += `&tlang=${encodeURIComponent(translateTo)}`;
+  }
+  
+  log(`Fetching transcript from: ${transcriptUrl}`);
+  
+  const response = await fetchYouTube(transcriptUrl, { signal });
+  
+  if (!response.ok) {
+    throw createHttpError(response, 'Failed to fetch transcript');
+  }
+  
+  const transcriptBody = await response.text();
+  log(`Received timedtext response: ${transcriptBody.length} characters`);
+  log(`Response preview: ${transcriptBody.substring(0, 300)}...`);
+  
+  if (!transcriptBody.trim()) {
+    throw createTranscriptError('parse', 'Empty transcript response from server');
+  }
+  
+  return parseCaptionBody(transcriptBody);
+}
+
+// Parse a timedtext body, reporting failures as 'parse' errors
+function parseCaptionBody(body) {
+  try {
+    return parseTimedText(body);
+  } catch (error) {
+    throw createTranscriptError('parse', error.message);
+  }
+}
+
+// Attach translated text to the original segment it overlaps most
+function mergeTranslation(originalSegments, translatedSegments) {
+  const translatedTexts = originalSegments.map(() => []);
+  
+  for (const translated of translatedSegments) {
+    const translatedEnd = translated.start + translated.duration;
+    let bestIndex = -1;
+    let bestScore = -Infinity;
+    
+    originalSegments.forEach((original, i) => {
+      const overlap = Math.min(translatedEnd, original.start + original.duration) - Math.max(translated.start, original.start);
+      // Without any overlap, fall back to the closest start time
+      const score = overlap > 0 ? overlap : -Math.abs(translated.start - original.start);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    });
+    
+    if (bestIndex !== -1) {
+      translatedTexts[bestIndex].push(translated.text);
+    }
+  }
+  
+  return originalSegments.map((segment, i) => ({
+    ...segment,
+    translatedText: translatedTexts[i].join(' ') || null
+  }));
+}
+
+// Fallback API method
+async function fetchTranscriptFromAPI(videoId, preferredLanguages = [], pageData = {}, signal) {
+  try {
+    log('Trying fallback API method...');
+    
+    const listUrl = `https://www.youtube.com/api/timedtext?type=list&v=${videoId}`;
+    const listResponse = await fetchYouTube(listUrl, { signal });
+    
+    if (!listResponse.ok) {
+      throw createHttpError(listResponse, 'No transcript available via API');
+    }
+    
+    const listText = await listResponse.text();
+    if (!listText.trim()) {
+      throw createTranscriptError('no-captions', 'Empty API response');
+    }
+    
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(listText, 'text/xml');
+    const tracks = xmlDoc.getElementsByTagName('track');
+    
+    if (tracks.length === 0) {
+      throw createTranscriptError('no-captions', 'No transcript tracks found');
+    }
+    
+    // Match the listed tracks against the preferred languages like player response tracks
+    const listedTracks = Array.from(tracks, element => ({
+      element,
+      languageCode: element.getAttribute('lang_code') || 'en',
+      kind: element.getAttribute('kind')
+    }));
+    const { element: track, languageCode: langCode, kind: trackKind } =
+      findPreferredTrack(listedTracks, preferredLanguages) || listedTracks[0];
+    
+    let transcriptUrl = `https://www.youtube.com/api/timedtext?lang=${langCode}&v=${videoId}&fmt=srv3`;
+    if (trackKind) {
+      transcriptUrl += `&kind=${trackKind}`;
+    }
+    const transcriptResponse = await fetchYouTube(transcriptUrl, { signal });
+    
+    if (!transcriptResponse.ok) {
+      throw createHttpError(transcriptResponse, 'Failed to fetch transcript content');
+    }
+    
+    const transcriptBody = await transcriptResponse.text();
+    return createTranscript(parseCaptionBody(transcriptBody), {
+      source: 'api',
+      language: langCode,
+      languageName: track.getAttribute('name') || track.getAttribute('lang_translated') || null,
+      isAutoGenerated: trackKind === 'asr',
+      playerResponse: pageData.playerResponse,
+      initialData: pageData.initialData
+    });
+    
+  } catch (error) {
+    log('Fallback API method failed: ' + error.message);
+    throw error;
+  }
+}
+
+// Duration given to the last segment when only start times are known
+const DEFAULT_LAST_SEGMENT_DURATION = 5;
+
+// Build the transcript object shared by every extraction method
+// playerResponse and initialData default to the current page's; pass them for other videos
+function createTranscript(segments, {
+  source,
+  language = null,
+  languageName = null,
+  isAutoGenerated = false,
+  translation = null,
+  playerResponse = extractPlayerResponse(),
+  initialData = undefined
+}) {
+  const videoId = playerResponse?.videoDetails?.videoId || getVideoId();
+  // Page elements only describe the video that is on screen
+  const isCurrentVideo = videoId === getVideoId();
+  
+  return {
+    videoId,
+    title: (isCurrentVideo && getVideoTitle()) || playerResponse?.videoDetails?.title || null,
+    channel: (isCurrentVideo && getChannelName()) || playerResponse?.videoDetails?.author || null,
+    url: isCurrentVideo ? window.location.href : `https://www.youtube.com/watch?v=${videoId}`,
+    source,
+    language,
+    languageName,
+    isAutoGenerated,
+    translation,
+    metadata: getVideoMetadata(playerResponse),
+    chapters: getChapters(playerResponse, initialData === undefined ? extractInitialData() : initialData),
+    segments
+  };
+}
+
+// Collect video details from the player response's videoDetails and microformat
+function getVideoMetadata(playerResponse) {
+  const details = playerResponse?.videoDetails || {};
+  const microformat = playerResponse?.microformat?.playerMicroformatRenderer || {};
+  const lengthSeconds = parseInt(details.lengthSeconds || microformat.lengthSeconds, 10);
+  const viewCount = parseInt(details.viewCount || microformat.viewCount, 10);
+  // Thumbnails are listed smallest first
+  const thumbnails = details.thumbnail?.thumbnails || microformat.thumbnail?.thumbnails || [];
+  
+  return {
+    channelId: details.channelId || microformat.externalChannelId || null,
+    publishDate: microformat.publishDate || microformat.uploadDate || null,
+    durationSeconds: isNaN(lengthSeconds) ? null : lengthSeconds,
+    viewCount: isNaN(viewCount) ? null : viewCount,
+    description: details.shortDescription || getRendererText(microformat.description) || null,
+    thumbnailUrl: thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+// Give segments without a duration the time until the next segment starts
+function fillMissingDurations(segments, lastDuration = DEFAULT_LAST_SEGMENT_DURATION) {
+  segments.forEach((segment, i) => {
+    if (segment.duration === null) {
+      const next = segments[i + 1];
+      segment.duration = next ? Math.max(0, next.start - segment.start) : lastDuration;
+    }
+  });
+  return segments;
+}
+
+// Get video title from page
+function getVideoTitle() {
+  try {
+    // Try multiple selectors for the video title
+    const titleSelectors = [
+      'h1.ytd-watch-metadata yt-formatted-string',
+      'h1.title .ytd-video-primary-info-renderer',
+      'h1.style-scope.ytd-watch-metadata',
+      '#title h1',
+      '.title.ytd-video-primary-info-renderer',
+      'ytd-watch-metadata h1'
+    ];
+    
+    for (const selector of titleSelectors) {
+      const titleElement = document.querySelector(selector);
+      if (titleElement && titleElement.textContent.trim()) {
+        const title = titleElement.textContent.replace(/\s+/g, ' ').trim();
+        log(`Found video title: ${title}`);
+        return title;
+      }
+    }
+    
+    log('Could not find video title');
+    return null;
+  } catch (error) {
+    log('Error getting video title: ' + error.message);
+    return null;
+  }
+}
+
+// Get channel name from page
+function getChannelName() {
+  try {
+    const channelSelectors = [
+      'ytd-watch-metadata ytd-channel-name a',
+      '#owner #channel-name a',
+      'ytd-video-owner-renderer ytd-channel-name a'
+    ];
+    
+    for (const selector of channelSelectors) {
+      const channelElement = document.querySelector(selector);
+      if (channelElement && channelElement.textContent.trim()) {
+        return channelElement.textContent.replace(/\s+/g, ' ').trim();
+      }
+    }
+    
+    // Fall back to the author recorded in the player response, if it is still this video's
+    const videoDetails = extractPlayerResponse()?.videoDetails;
+    return videoDetails && videoDetails.videoId === getVideoId() ? videoDetails.author || null : null;
+  } catch (error) {
+    log('Error getting channel name: ' + error.message);
+    return null;
+  }
+}
+
+// Save complete transcript file content, resolving with the download result (see saveFile)
+async function saveTranscriptFile(content, transcript, format = 'txt', settings = DEFAULT_SETTINGS) {
+  const formatInfo = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.txt;
+  const filename = buildDownloadPath(
+    buildFilename(transcript, format, settings.filenameTemplate),
+    settings.downloadFolder,
+    getFilenameValues(transcript)
+  );
+  return await saveFile(content, formatInfo.mimeType, filename, settings);
+}
+
+// Save a string or Blob with the downloads API in the background service worker
+// Resolves with { state, filename, error } where state is 'complete' or 'interrupted';
+// falls back to a download link when the background cannot be reached
+async function saveFile(content, mimeType, filename, settings = DEFAULT_SETTINGS) {
+  const binary = content instanceof Blob;
+  try {
+    return await sendBackgroundMessage({
+      type: 'download',
+      content: binary ? await blobToBase64(content) : content,
+      encoding: binary ? 'base64' : 'text',
+      mimeType,
+      filename,
+      saveAs: settings.saveAs,
+      conflictAction: settings.conflictAction
+    });
+  } catch (error) {
+    log('Background download failed, using a download link: ' + error.message);
+    // Download links can't create folders, so only the file name is kept
+    saveBlob(binary ? content : new Blob([content], { type: mimeType }), filename.split('/').pop());
+    return { state: 'complete', filename, error: null };
+  }
+}
+
+// Base64 encode the bytes of a Blob
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Convert in chunks to stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Save a Blob through a temporary download link
+function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Currently chosen output format from the options menu
+// Without the menu (link menu and shortcuts on list pages, or before the button is placed)
+// it is the default format setting
+function getSelectedFormat(settings) {
+  const formatSelect = document.getElementById('transcript-format-select');
+  if (formatSelect && TRANSCRIPT_FORMATS[formatSelect.value]) {
+    return formatSelect.value;
+  }
+  return TRANSCRIPT_FORMATS[settings.defaultFormat] ? settings.defaultFormat : 'txt';
+}
+
+// Currently chosen caption track, or null to pick one automatically
+function getSelectedTrackId() {
+  const trackSelect = document.getElementById('transcript-track-select');
+  return (trackSelect && trackSelect.value) || null;
+}
+
+// Currently chosen translation target, or null for the original language
+function getSelectedTranslation() {
+  const translateSelect = document.getElementById('transcript-translate-select');
+  const bilingualCheckbox = document.getElementById('transcript-bilingual-checkbox');
+  const translateTo = (translateSelect && translateSelect.value) || null;
+  return {
+    translateTo,
+    bilingual: Boolean(translateTo && bilingualCheckbox && bilingualCheckbox.checked)
+  };
+}
+
+// List the languages the current video's captions can be translated into
+async function refreshTranslationOptions() {
+  const translateSelect = document.getElementById('transcript-translate-select');
+  if (!translateSelect) return;
+  
+  const previousValue = translateSelect.value;
+  const { playerResponse } = await getCurrentPageData();
+  const languages = getTranslationLanguages(playerResponse);
+  
+  translateSelect.innerHTML = '';
+  
+  const originalOption = document.createElement('option');
+  originalOption.value = '';
+  originalOption.textContent = chrome.i18n.getMessage('translationOriginal');
+  translateSelect.appendChild(originalOption);
+  
+  for (const language of languages) {
+    const option = document.createElement('option');
+    option.value = language.languageCode;
+    option.textContent = `${getTranslationLanguageName(language)} [${language.languageCode}]`;
+    translateSelect.appendChild(option);
+  }
+  
+  translateSelect.value = languages.some(language => language.languageCode === previousValue) ? previousValue : '';
+}
+
+// List the current video's caption tracks in the track picker
+async function refreshCaptionTrackOptions() {
+  const trackSelect = document.getElementById('transcript-track-select');
+  if (!trackSelect) return;
+  
+  const previousValue = trackSelect.value;
+  const { playerResponse } = await getCurrentPageData();
+  const tracks = getCaptionTracks(playerResponse);
+  const preferredLanguages = await getPreferredLanguages();
+  
+  trackSelect.innerHTML = '';
+  
+  const automaticOption = document.createElement('option');
+  automaticOption.value = '';
+  automaticOption.textContent = preferredLanguages.length > 0
+    ? chrome.i18n.getMessage('trackAutomaticPreferring', preferredLanguages.join(', '))
+    : chrome.i18n.getMessage('trackAutomatic');
+  trackSelect.appendChild(automaticOption);
+  
+  for (const track of tracks) {
+    const option = document.createElement('option');
+    option.value = getTrackId(track);
+    // YouTube's names of speech recognition tracks end in "(auto-generated)" in the language of
+    // its interface, so those tracks are named from their language code instead
+    const isAsr = track.kind === 'asr';
+    const name = isAsr ? getLanguageName(track.languageCode, chrome.i18n.getUILanguage()) : getTrackName(track);
+    const autoLabel = isAsr ? ', ' + chrome.i18n.getMessage('trackAutoGenerated') : '';
+    option.textContent = `${name} [${track.languageCode}${autoLabel}]`;
+    trackSelect.appendChild(option);
+  }
+  
+  // Keep the previous choice if this video has the same track
+  trackSelect.value = tracks.some(track => getTrackId(track) === previousValue) ? previousValue : '';
+  log(`Listed ${tracks.length} caption tracks in the track picker`);
+}
+
+// Load the remembered preferred-language order
+async function getPreferredLanguages() {
+  try {
+    const { preferredLanguages } = await loadSettings();
+    return Array.isArray(preferredLanguages) ? preferredLanguages : [];
+  } catch (error) {
+    log('Error loading preferred languages: ' + error.message);
+    return [];
+  }
+}
+
+// Move a language to the front of the preferred-language order
+async function rememberPreferredLanguage(languageCode) {
+  try {
+    const preferredLanguages = await getPreferredLanguages();
+    const updated = [languageCode, ...preferredLanguages.filter(language => language !== languageCode)];
+    await saveSettings({ preferredLanguages: updated });
+    log(`Preferred languages: ${updated.join(', ')}`);
+  } catch (error) {
+    log('Error saving preferred languages: ' + error.message);
+  }
+}
+
+// Create the options menu that opens from the download button
+function createOptionsMenu() {
+  // Drop a menu left behind by a previous button
+  const existingMenu = document.getElementById('transcript-options-menu');
+  if (existingMenu) {
+    existingMenu.remove();
+  }
+  
+  const menu = document.createElement('div');
+  menu.id = 'transcript-options-menu';
+  menu.style.cssText = `
+    display: none;
+    position: fixed;
+    z-index: 2300;
+    min-width: 220px;
+    padding: 12px 16px 4px;
+    background-color: #282828;
+    color: white;
+    border-radius: 12px;
+    box-shadow: 0 4px 32px rgba(0, 0, 0, 0.4);
+    font-family: "Roboto", "Arial", sans-serif;
+    font-size: 13px;
+  `;
+  
+  const formatSelect = document.createElement('select');
+  formatSelect.id = 'transcript-format-select';
+  for (const [value, info] of Object.entries(TRANSCRIPT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = chrome.i18n.getMessage(info.labelMessage);
+    formatSelect.appendChild(option);
+  }
+  addMenuRow(menu, chrome.i18n.getMessage('menuFormat'), formatSelect);
+  
+  Promise.all([loadSettings(), loadWebhooks()]).then(([settings, webhooks]) => {
+    if (TRANSCRIPT_FORMATS[settings.defaultFormat]) {
+      formatSelect.value = settings.defaultFormat;
+    }
+    // One action per "Send to…" endpoint, below the others
+    for (const endpoint of webhooks) {
+      addMenuAction(menu, chrome.i18n.getMessage('menuSendTo', endpoint.name), async () => {
+        menu.style.display = 'none';
+        await runTranscriptActionWithToast({ sendTo: endpoint.id });
+      });
+    }
+  }).catch(error => {
+    log('Error loading settings: ' + error.message);
+  });
+  
+  // Filled in from the player response each time the menu opens
+  const trackSelect = document.createElement('select');
+  trackSelect.id = 'transcript-track-select';
+  addMenuRow(menu, chrome.i18n.getMessage('menuCaptionTrack'), trackSelect);
+  
+  const translateSelect = document.createElement('select');
+  translateSelect.id = 'transcript-translate-select';
+  addMenuRow(menu, chrome.i18n.getMessage('menuTranslateTo'), translateSelect);
+  
+  const bilingualCheckbox = document.createElement('input');
+  bilingualCheckbox.type = 'checkbox';
+  bilingualCheckbox.id = 'transcript-bilingual-checkbox';
+  addMenuRow(menu, chrome.i18n.getMessage('menuBilingual'), bilingualCheckbox);
+  
+  addMenuRow(menu, chrome.i18n.getMessage('menuClip'), createClipControl());
+  
+  const rebaseCheckbox = document.createElement('input');
+  rebaseCheckbox.type = 'checkbox';
+  rebaseCheckbox.id = 'transcript-clip-rebase-checkbox';
+  addMenuRow(menu, chrome.i18n.getMessage('menuClipRebase'), rebaseCheckbox);
+  
+  addMenuAction(menu, chrome.i18n.getMessage('menuOpenSidebar'), async () => {
+    menu.style.display = 'none';
+    const settings = await loadSettings();
+    await openTranscriptSidebar({
+      trackId: getSelectedTrackId(),
+      preferredLanguages: settings.preferredLanguages,
+      ...getSelectedTranslation()
+    });
+  });
+  
+  document.body.appendChild(menu);
+  return menu;
+}
+
+// Add a labelled control to the options menu
+function addMenuRow(menu, labelText, control) {
+  const row = document.createElement('label');
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  
+  if (control.type === 'checkbox') {
+    // Checkboxes sit in front of their label
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px; cursor: pointer;';
+    control.style.cssText = 'margin: 0; accent-color: #cc0000;';
+    row.appendChild(control);
+    row.appendChild(label);
+  } else {
+    row.style.cssText = 'display: flex; flex-direction: column; gap: 4px; margin-bottom: 8px;';
+    label.style.cssText = 'color: #aaa; font-size: 12px;';
+    // Composite controls (a div of several inputs) style their own parts
+    if (control.tagName !== 'DIV') {
+      styleMenuControl(control);
+    }
+    row.appendChild(label);
+    row.appendChild(control);
+  }
+
+  menu.appendChild(row);
+  return row;
+}
+
+// Dark input styling shared by the options menu's selects, inputs and small buttons
+function styleMenuControl(control) {
+  control.style.cssText = `
+    padding: 4px;
+    background-color: #3f3f3f;
+    color: white;
+    border: 1px solid #555;
+    border-radius: 4px;
+    font-size: 13px;
+  `;
+}
+
+// Clip in and out inputs, each with a button that takes the player's current time
+function createClipControl() {
+  const control = document.createElement('div');
+  control.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+  
+  const inputs = [
+    ['transcript-clip-start', 'clipStart', 'clipSetStartTitle'],
+    ['transcript-clip-end', 'clipEnd', 'clipSetEndTitle']
+  ];
+  for (const [id, placeholderMessage, titleMessage] of inputs) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.placeholder = chrome.i18n.getMessage(placeholderMessage);
+    styleMenuControl(input);
+    input.style.width = '64px';
+    // Keep YouTube's keyboard shortcuts from firing while typing
+    input.addEventListener('keydown', event => event.stopPropagation());
+    
+    const nowButton = document.createElement('button');
+    nowButton.type = 'button';
+    nowButton.textContent = '⏱';
+    nowButton.title = chrome.i18n.getMessage(titleMessage);
+    styleMenuControl(nowButton);
+    nowButton.style.cursor = 'pointer';
+    nowButton.addEventListener('click', event => {
+      event.preventDefault();
+      const video = document.querySelector('video');
+      if (video) {
+        input.value = formatTimestamp(video.currentTime);
+      }
+    });
+    
+    if (control.childElementCount > 0) {
+      control.appendChild(document.createTextNode('–'));
+    }
+    control.append(input, nowButton);
+  }
+  
+  return control;
+}
+
+// Read a clip time typed as seconds or as MM:SS / HH:MM:SS, null when left empty
+function parseClipTime(value) {
+  const text = value.trim();
+  if (!text) return null;
+  
+  const seconds = /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : parseTimestamp(text);
+  if (seconds === null) {
+    throw new Error(`Can't read clip time "${text}"`);
+  }
+  return seconds;
+}
+
+// Clip range chosen in the options menu as { start, end, rebase }, or null for the whole video
+// An unreadable time throws, so a typo never silently downloads everything
+function getSelectedClip() {
+  const startInput = document.getElementById('transcript-clip-start');
+  const endInput = document.getElementById('transcript-clip-end');
+  const rebaseCheckbox = document.getElementById('transcript-clip-rebase-checkbox');
+  if (!startInput || !endInput) return null;
+  
+  const start = parseClipTime(startInput.value);
+  const end = parseClipTime(endInput.value);
+  if (start === null && end === null) return null;
+  
+  if (end !== null && end <= (start || 0)) {
+    throw new Error('Clip end must be after its start');
+  }
+  return {
+    start: start || 0,
+    end: end === null ? Infinity : end,
+    rebase: Boolean(rebaseCheckbox && rebaseCheckbox.checked)
+  };
+}
+
+// Empty the clip inputs, which only make sense for the video they were set on
+function clearClipInputs() {
+  for (const id of ['transcript-clip-start', 'transcript-clip-end']) {
+    const input = document.getElementById(id);
+    if (input) {
+      input.value = '';
+    }
+  }
+}
+
+// Add a full-width action button to the options menu
+function addMenuAction(menu, labelText, onClick) {
+  const button = document.createElement('button');
+  button.textContent = labelText;
+  button.style.cssText = `
+    display: block;
+    width: 100%;
+    margin-bottom: 8px;
+    padding: 6px;
+    background-color: #3f3f3f;
+    color: white;
+    border: none;
+    border-radius: 4px;
+    font-size: 13px;
+    cursor: pointer;
+  `;
+  button.addEventListener('click', () => {
+    onClick().catch(error => {
+      log('Error running menu action: ' + error.message);
+    });
+  });
+  
+  menu.appendChild(button);
+  return button;
+}
+
+// Show or hide the options menu below the button that opens it, returning whether it is shown
+function toggleOptionsMenu(toggleButton, show) {
+  const menu = document.getElementById('transcript-options-menu');
+  if (!menu) return false;
+  
+  const shouldShow = show !== undefined ? show : menu.style.display === 'none';
+  if (shouldShow) {
+    const rect = toggleButton.getBoundingClientRect();
+    menu.style.display = 'block';
+    // Open upwards when the button is near the bottom of the window (mobile overlay)
+    const fitsBelow = rect.bottom + 8 + menu.offsetHeight <= window.innerHeight;
+    menu.style.top = `${fitsBelow ? rect.bottom + 8 : Math.max(8, rect.top - 8 - menu.offsetHeight)}px`;
+    menu.style.left = `${Math.max(8, rect.right - 240)}px`;
+  } else {
+    menu.style.display = 'none';
+  }
+  return shouldShow;
+}
+
+// Close the options menu when clicking anywhere outside it
+function closeOptionsMenuOnOutsideClick(event) {
+  const menu = document.getElementById('transcript-options-menu');
+  const toggleButton = document.getElementById('transcript-options-btn');
+  if (!menu || menu.style.display === 'none') return;
+  
+  if (!menu.contains(event.target) && !(toggleButton && toggleButton.contains(event.target))) {
+    menu.style.display = 'none';
+  }
+}
+
+// Keyboard shortcuts (see "commands" in manifest.json) and what they do
+const COMMAND_ACTIONS = {
+  'download-transcript': { outputMode: 'download' },
+  'copy-transcript': { outputMode: 'clipboard' },
+  'copy-transcript-from-now': { outputMode: 'clipboard', fromCurrentTime: true }
+};
+
+// Fetch the transcript and copy and/or download it, returning a status label for the result
+// options.outputMode overrides the outputMode setting, options.sendTo (an endpoint ID) sends
+// it to that "Send to…" endpoint instead, options.fromCurrentTime keeps only what follows the
+// playback position and options.videoUrl picks another video than the one on the page;
+// options.preview opens the preview dialog first when the showPreview setting is on, and
+// options.signal and options.onProgress are passed on to fetchTranscript
+async function runTranscriptAction(options = {}) {
+  const progress = { signal: options.signal, onProgress: options.onProgress };
+  const settings = await loadSettings();
+  const format = getSelectedFormat(settings);
+  let transcript;
+  
+  if (options.videoUrl) {
+    const videoId = parseVideoId(options.videoUrl, window.location.href);
+    if (!videoId) {
+      throw new Error('Not a YouTube video link');
     }
-    
-    log(`Found ${captions.length} caption tracks`);
-    captions.forEach((track, i) => {
-      log(`Track ${i}: ${track.name?.simpleText || 'Unknown'} (${track.languageCode}) kind: ${track.kind || 'none'}`);
-    });
-    
-    // Find the best caption track
-    let selectedTrack = captions.find(track => 
-      track.languageCode.startsWith('en') && track.kind !== 'asr'
-    ) || captions.find(track => 
-      track.languageCode.startsWith('en')
-    ) || captions[0];
-    
-    if (!selectedTrack) {
-      throw new Error('No suitable caption track found');
+    transcript = await fetchTranscriptForVideo(videoId, { ...progress, preferredLanguages: settings.preferredLanguages });
+  } else {
+    const videoId = getVideoId();
+    if (!videoId) {
+      throw new Error('Video ID not found');
     }
     
-    log(`Using caption track: ${selectedTrack.name?.simpleText || 'Unknown'} (${selectedTrack.languageCode})`);
-    log(`Base URL: ${selectedTrack.baseUrl}`);
-    
-    // Fetch the transcript from the base URL
-    let transcriptUrl = selectedTrack.baseUrl;
+    const clip = getSelectedClip();
+    const trackId = getSelectedTrackId();
+    const { translateTo, bilingual } = getSelectedTranslation();
+    transcript = await fetchPageTranscript(videoId, {
+      ...progress,
+      trackId,
+      preferredLanguages: settings.preferredLanguages,
+      translateTo,
+      bilingual
+    });
     
-    // Ensure the URL is properly formatted
-    if (!transcriptUrl.startsWith('http')) {
-      transcriptUrl = 'https://www.youtube.com' + transcriptUrl;
+    // A hand-picked track becomes the first choice for next time
+    if (trackId && transcript.language) {
+      await rememberPreferredLanguage(transcript.language);
     }
     
-    // Add format parameter to ensure we get XML
-    if (!transcriptUrl.includes('fmt=')) {
-      transcriptUrl += transcriptUrl.includes('?') ? '&fmt=srv3' : '?fmt=srv3';
+    if (clip) {
+      transcript = createClipTranscript(transcript, clip.start, clip.end, { rebase: clip.rebase });
     }
-    
-    log(`Fetching transcript from: ${transcriptUrl}`);
-    
-    const response = await fetch(transcriptUrl);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch transcript: ${response.status} ${response.statusText}`);
+  }
+  
+  if (options.fromCurrentTime) {
+    const video = document.querySelector('video');
+    transcript = getTranscriptFrom(transcript, video ? video.currentTime : 0);
+  }
+  
+  // Nothing is copied or saved once the action was cancelled
+  throwIfCancelled(progress);
+  
+  if (options.preview && settings.showPreview) {
+    reportProgress(progress, 'preview');
+    const choice = await openTranscriptPreview(transcript, format, settings, await loadWebhooks(), options.signal);
+    if (!choice) {
+      throwIfCancelled(progress);
+      throw createTranscriptError('cancelled', 'Preview closed');
     }
-    
-    const transcriptXml = await response.text();
-    log(`Received transcript XML: ${transcriptXml.length} characters`);
-    log(`XML preview: ${transcriptXml.substring(0, 300)}...`);
-    
-    if (!transcriptXml.trim()) {
-      throw new Error('Empty transcript response from server');
+    if (choice.endpointId) {
+      reportProgress(progress, 'sending');
+      return await sendTranscript(choice.endpointId, transcript, choice.content, choice.format);
     }
-    
-    return transcriptXml;
-    
-  } catch (error) {
-    log('Error extracting transcript from player response: ' + error.message);
-    throw error;
+    reportProgress(progress, 'saving');
+    // What the dialog shows is saved as is, so chapters are not split into files here
+    const files = [{ content: choice.content, transcript }];
+    return await outputTranscript(choice.content, files, choice.format, settings, choice.outputMode);
+  }
+  
+  reportProgress(progress, options.sendTo ? 'sending' : 'saving');
+  const formattedText = formatTranscript(transcript, format, getFormatOptions(settings));
+  
+  if (!formattedText.trim()) {
+    throw createTranscriptError('no-captions', 'No transcript text found');
+  }
+  
+  if (options.sendTo) {
+    const content = createTranscriptFileContent(formattedText, transcript, format, settings);
+    return await sendTranscript(options.sendTo, transcript, content, format);
   }
+  
+  const outputMode = options.outputMode || settings.outputMode;
+  const files = outputMode === 'clipboard' ? [] : createTranscriptFiles(transcript, formattedText, format, settings);
+  return await outputTranscript(formattedText, files, format, settings, outputMode);
 }
 
-// Fallback API method
-async function fetchTranscriptFromAPI(videoId) {
-  try {
-    log('Trying fallback API method...');
-    
-    const listUrl = `https://www.youtube.com/api/timedtext?type=list&v=${videoId}`;
-    const listResponse = await fetch(listUrl);
-    
-    if (!listResponse.ok) {
-      throw new Error('No transcript available via API');
+// Complete files for downloading a transcript as [{ content, transcript }]: one per chapter
+// when the splitChapters setting is on, otherwise one for the whole transcript
+function createTranscriptFiles(transcript, formattedText, format, settings) {
+  const chapterTranscripts = settings.splitChapters ? createChapterTranscripts(transcript) : [];
+  if (chapterTranscripts.length === 0) {
+    return [{ content: createTranscriptFileContent(formattedText, transcript, format, settings), transcript }];
+  }
+  
+  return chapterTranscripts.map(chapterTranscript => {
+    const chapterText = formatTranscript(chapterTranscript, format, getFormatOptions(settings));
+    return { content: createTranscriptFileContent(chapterText, chapterTranscript, format, settings), transcript: chapterTranscript };
+  });
+}
+
+// Copy copyText and/or save files ([{ content, transcript }]) as outputMode asks,
+// returning a status label for the result
+async function outputTranscript(copyText, files, format, settings, outputMode) {
+  const shouldCopy = outputMode !== 'download';
+  const shouldDownload = outputMode !== 'clipboard';
+  let copied = false;
+  
+  // Copy to clipboard
+  if (shouldCopy) {
+    try {
+      await navigator.clipboard.writeText(copyText);
+      copied = true;
+      log('Transcript copied to clipboard');
+    } catch (clipboardError) {
+      log('Failed to copy to clipboard: ' + clipboardError.message);
+      if (!shouldDownload) {
+        throw clipboardError;
+      }
     }
-    
-    const listText = await listResponse.text();
-    if (!listText.trim()) {
-      throw new Error('Empty API response');
+  }
+  
+  const downloads = [];
+  if (shouldDownload) {
+    for (const file of files) {
+      downloads.push(await saveTranscriptFile(file.content, file.transcript, format, settings));
     }
-    
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(listText, 'text/xml');
-    const tracks = xmlDoc.getElementsByTagName('track');
-    
-    if (tracks.length === 0) {
-      throw new Error('No transcript tracks found');
+    if (files.length > 1) {
+      log(`Downloaded ${files.length} chapter files`);
     }
-    
-    const track = tracks[0];
-    const langCode = track.getAttribute('lang_code') || 'en';
-    
-    const transcriptUrl = `https://www.youtube.com/api/timedtext?lang=${langCode}&v=${videoId}&fmt=srv3`;
-    const transcriptResponse = await fetch(transcriptUrl);
-    
-    if (!transcriptResponse.ok) {
-      throw new Error('Failed to fetch transcript content');
+  }
+  
+  // A download can be interrupted, or cancelled in the "Save as" dialog
+  const failedDownload = downloads.find(download => download.state !== 'complete');
+  if (failedDownload) {
+    log(`Download of ${failedDownload.filename} ${failedDownload.state}: ${failedDownload.error}`);
+    if (!copied) {
+      throw new Error(`Download ${failedDownload.state}: ${failedDownload.error}`);
     }
-    
-    return await transcriptResponse.text();
-    
+  }
+  
+  if (shouldDownload && failedDownload) {
+    return '✓ ' + chrome.i18n.getMessage('resultCopiedDownloadFailed');
+  } else if (shouldDownload && copied) {
+    return '✓ ' + chrome.i18n.getMessage('resultDownloadedAndCopied');
+  } else if (shouldDownload) {
+    return '✓ ' + chrome.i18n.getMessage('resultDownloaded');
+  }
+  return '✓ ' + chrome.i18n.getMessage('resultCopied');
+}
+
+// POST a transcript to a "Send to…" endpoint through the background service worker,
+// returning a status label for the result
+// content is the text as it would be saved, and goes into the payload's {text}
+async function sendTranscript(endpointId, transcript, content, format) {
+  const endpoint = (await loadWebhooks()).find(webhook => webhook.id === endpointId);
+  if (!endpoint) {
+    throw new Error('This endpoint no longer exists');
+  }
+  
+  const body = createWebhookPayload(transcript, content, format, endpoint.payloadTemplate);
+  try {
+    await sendBackgroundMessage({ type: 'webhook-send', endpointId, body });
   } catch (error) {
-    log('Fallback API method failed: ' + error.message);
-    throw error;
+    throw new Error(chrome.i18n.getMessage('errorSendFailed', [endpoint.name, error.message]));
   }
+  log(`Transcript sent to ${endpoint.name}`);
+  return '✓ ' + chrome.i18n.getMessage('resultSent', endpoint.name);
 }
 
-// Convert transcript data to readable text with timestamps
-function formatTranscript(transcriptData) {
+// _locales messages describing each progress step of fetchTranscript
+const PROGRESS_MESSAGES = {
+  'library': 'progressLibrary',
+  'panel': 'progressPanel',
+  'automation': 'progressAutomation',
+  'player-response': 'progressPlayerResponse',
+  'api': 'progressApi',
+  'preview': 'progressPreview',
+  'saving': 'progressSaving',
+  'sending': 'progressSending'
+};
+
+// Controller of the transcript action in progress, so starting another one cancels it
+let transcriptActionController = null;
+
+// Run a transcript action, showing its progress in a toast with a Cancel button and its
+// result or failure afterwards; resolves with the result label, or null when it failed
+async function runTranscriptActionWithToast(options = {}) {
+  if (transcriptActionController) {
+    transcriptActionController.abort();
+  }
+  const controller = new AbortController();
+  transcriptActionController = controller;
+  
+  const showProgress = step => {
+    showTranscriptToast('⏳ ' + chrome.i18n.getMessage(PROGRESS_MESSAGES[step]), {
+      onCancel: () => controller.abort()
+    });
+  };
+  showProgress('library');
+  
   try {
-    log('Formatting transcript data...');
-    
-    // If it's already formatted text with timestamps (from page extraction), return as-is
-    if (typeof transcriptData === 'string' && !transcriptData.includes('<')) {
-      log(`Using formatted transcript: ${transcriptData.length} characters`);
-      return transcriptData;
+    const result = await runTranscriptAction({ ...options, signal: controller.signal, onProgress: showProgress });
+    showTranscriptToast(result);
+    return result;
+  } catch (error) {
+    log(`Transcript action failed (${getErrorCategory(error)}): ` + error.message);
+    // A newer action replaced this one and has its own toast
+    if (transcriptActionController === controller || !controller.signal.aborted) {
+      showTranscriptToast('❌ ' + describeTranscriptError(error));
     }
-    
-    // If it's XML, parse it and add timestamps
-    if (typeof transcriptData === 'string' && transcriptData.includes('<')) {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(transcriptData, 'text/xml');
-      
-      // Check for XML parsing errors
-      const parserError = xmlDoc.querySelector('parsererror');
-      if (parserError) {
-        throw new Error('XML parsing error: ' + parserError.textContent);
-      }
-      
-      const textElements = xmlDoc.getElementsByTagName('text');
-      
-      if (textElements.length === 0) {
-        throw new Error('No text elements found in transcript XML');
-      }
-      
-      let formattedTranscript = '';
-      
-      for (let element of textElements) {
-        let text = element.textContent || '';
-        // Decode HTML entities
-        text = text.replace(/&amp;/g, '&')
-                  .replace(/&lt;/g, '<')
-                  .replace(/&gt;/g, '>')
-                  .replace(/&quot;/g, '"')
-                  .replace(/&#39;/g, "'");
-        
-        if (text.trim()) {
-          // Get timestamp from 'start' attribute
-          const startTime = element.getAttribute('start');
-          if (startTime) {
-            const timestamp = formatTimestamp(parseFloat(startTime));
-            formattedTranscript += `[${timestamp}] ${text.trim()}\n`;
-          } else {
-            formattedTranscript += `${text.trim()}\n`;
-          }
-        }
-      }
-      
-      if (!formattedTranscript.trim()) {
-        throw new Error('No transcript text found in XML');
-      }
-      
-      log(`Extracted ${formattedTranscript.length} characters from XML transcript with timestamps`);
-      return formattedTranscript.trim();
+    return null;
+  } finally {
+    if (transcriptActionController === controller) {
+      transcriptActionController = null;
     }
-    
-    throw new Error('Unknown transcript data format');
-    
-  } catch (error) {
-    log('Error formatting transcript: ' + error.message);
-    throw error;
   }
 }
 
-// Convert seconds to MM:SS or HH:MM:SS format
-function formatTimestamp(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
+// Show a short message at the bottom of the page, replacing the previous one
+// options.onCancel adds a Cancel button; such messages, like "loading" ones, stay up
+// until they are replaced
+function showTranscriptToast(message, { onCancel } = {}) {
+  let toast = document.getElementById('transcript-toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'transcript-toast';
+    toast.style.cssText = `
+      position: fixed;
+      left: 24px;
+      bottom: 24px;
+      z-index: 2300;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 16px;
+      background-color: #282828;
+      color: white;
+      border-radius: 8px;
+      box-shadow: 0 4px 32px rgba(0, 0, 0, 0.4);
+      font-family: "Roboto", "Arial", sans-serif;
+      font-size: 14px;
+    `;
+    document.body.appendChild(toast);
+  }
   
-  if (hours > 0) {
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-  } else {
-    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  toast.textContent = message;
+  if (onCancel) {
+    const cancelButton = document.createElement('button');
+    cancelButton.textContent = chrome.i18n.getMessage('cancel');
+    cancelButton.style.cssText = `
+      padding: 4px 12px;
+      background-color: #3f3f3f;
+      color: white;
+      border: none;
+      border-radius: 14px;
+      cursor: pointer;
+    `;
+    cancelButton.addEventListener('click', onCancel);
+    toast.appendChild(cancelButton);
+  }
+  
+  clearTimeout(toast.hideTimer);
+  if (!onCancel && !message.startsWith('⏳')) {
+    toast.hideTimer = setTimeout(() => toast.remove(), 3000);
   }
 }
 
-// Get video title from page
-function getVideoTitle() {
-  try {
-    // Try multiple selectors for the video title
-    const titleSelectors = [
-      'h1.ytd-watch-metadata yt-formatted-string',
-      'h1.title .ytd-video-primary-info-renderer',
-      'h1.style-scope.ytd-watch-metadata',
-      '#title h1',
-      '.title.ytd-video-primary-info-renderer',
-      'ytd-watch-metadata h1'
-    ];
-    
-    for (const selector of titleSelectors) {
-      const titleElement = document.querySelector(selector);
-      if (titleElement && titleElement.textContent.trim()) {
-        let title = titleElement.textContent.trim();
-        // Clean up title for filename (remove invalid characters)
-        title = title.replace(/[<>:"/\\|?*]/g, '-').replace(/\s+/g, ' ').trim();
-        log(`Found video title: ${title}`);
-        return title;
-      }
+// Shortcuts and context-menu clicks arrive as messages from the background service worker
+function handleBackgroundMessage(message) {
+  if (message.type === 'transcript-command') {
+    const action = COMMAND_ACTIONS[message.command];
+    if (!action) return;
+    if (!getPageLayout()) {
+      showTranscriptToast(chrome.i18n.getMessage('toastNoVideo'));
+      return;
     }
-    
-    log('Could not find video title');
-    return null;
-  } catch (error) {
-    log('Error getting video title: ' + error.message);
-    return null;
+    runTranscriptActionWithToast(action);
+  } else if (message.type === 'transcript-link') {
+    runTranscriptActionWithToast({ outputMode: message.outputMode, videoUrl: message.url });
   }
 }
 
-// Create formatted transcript with header info
-function createFormattedTranscript(transcriptText, videoId) {
-  const title = getVideoTitle() || 'Unknown Video';
-  const url = window.location.href;
+// Give the download button and the options toggle their menu, hover and click behaviour
+function setUpTranscriptButtons(transcriptBtn, optionsBtn) {
+  createOptionsMenu();
+  optionsBtn.addEventListener('click', () => {
+    if (toggleOptionsMenu(optionsBtn)) {
+      Promise.all([refreshCaptionTrackOptions(), refreshTranslationOptions()]).catch(error => {
+        log('Error listing caption tracks: ' + error.message);
+      });
+    }
+  });
+  
+  for (const button of [transcriptBtn, optionsBtn]) {
+    button.addEventListener('mouseenter', () => {
+      button.style.backgroundColor = '#a00000';
+    });
+    
+    button.addEventListener('mouseleave', () => {
+      button.style.backgroundColor = '#cc0000';
+    });
+  }
   
-  const header = `Title: ${title}
-URL: ${url}
+  transcriptBtn.addEventListener('click', async () => {
+    const originalText = transcriptBtn.textContent;
+    transcriptBtn.textContent = '⏳ ' + chrome.i18n.getMessage('buttonLoading');
+    transcriptBtn.disabled = true;
+    toggleOptionsMenu(optionsBtn, false);
+    
+    // Progress, the reason for a failure and the Cancel button are in the toast
+    const result = await runTranscriptActionWithToast({ preview: true });
+    transcriptBtn.textContent = result || '❌ ' + chrome.i18n.getMessage('buttonFailed');
+    setTimeout(() => {
+      transcriptBtn.textContent = originalText;
+      transcriptBtn.disabled = false;
+    }, 2000);
+  });
+}
 
---- TRANSCRIPT ---
+// Where the floating buttons sit in layouts without a subscribe row
+const OVERLAY_POSITIONS = {
+  shorts: 'top: 72px; right: 24px;',
+  embed: 'top: 8px; right: 8px;',
+  mobile: 'bottom: 16px; right: 16px;'
+};
 
-`;
+// Add the download button and options toggle as a floating overlay
+function addOverlayButtons(layout) {
+  const overlay = document.createElement('div');
+  overlay.id = 'transcript-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    ${OVERLAY_POSITIONS[layout]}
+    z-index: 2200;
+    display: flex;
+    gap: 2px;
+    opacity: 0.9;
+  `;
+  
+  const transcriptBtn = document.createElement('button');
+  transcriptBtn.id = 'transcript-download-btn';
+  transcriptBtn.textContent = chrome.i18n.getMessage('overlayButton');
+  
+  const optionsBtn = document.createElement('button');
+  optionsBtn.id = 'transcript-options-btn';
+  optionsBtn.innerHTML = '▾';
+  optionsBtn.title = chrome.i18n.getMessage('optionsButtonTitle');
+  
+  for (const button of [transcriptBtn, optionsBtn]) {
+    button.style.cssText = `
+      background-color: #cc0000;
+      color: white;
+      border: none;
+      border-radius: 16px;
+      padding: 0 12px;
+      height: 32px;
+      font-size: 13px;
+      font-weight: bold;
+      font-family: "Roboto", "Arial", sans-serif;
+      cursor: pointer;
+      white-space: nowrap;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      transition: background-color 0.2s ease;
+    `;
+  }
+  optionsBtn.style.padding = '0 10px';
   
-  return header + transcriptText;
+  setUpTranscriptButtons(transcriptBtn, optionsBtn);
+  overlay.append(transcriptBtn, optionsBtn);
+  document.body.appendChild(overlay);
+  log(`Transcript button added as overlay for ${layout} layout`);
 }
 
-// Download text as file
-function downloadTranscript(text, videoId) {
-  const formattedText = createFormattedTranscript(text, videoId);
-  const blob = new Blob([formattedText], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
+// Remove the download button, options toggle and overlay
+function removeTranscriptButtons() {
+  for (const id of ['transcript-download-btn', 'transcript-options-btn', 'transcript-overlay']) {
+    const element = document.getElementById(id);
+    if (element) {
+      element.remove();
+    }
+  }
+}
+
+// Add the transcript button for the page on screen
+// Calls made while an attempt is running share that attempt
+function addTranscriptButton() {
+  const lifecycle = pageLifecycle || startPageLifecycle();
+  if (!lifecycle.buttonTask) {
+    lifecycle.buttonTask = placeTranscriptButton(lifecycle).finally(() => {
+      lifecycle.buttonTask = null;
+    });
+  }
+  return lifecycle.buttonTask;
+}
+
+// Waits before trying again when the subscribe row did not show up, in milliseconds;
+// after the last one, the next yt-page-data-updated event is the only trigger left
+const BUTTON_RETRY_DELAYS = [2000, 5000, 15000];
+
+// Try placing the button again after the next retry delay
+function scheduleButtonRetry(lifecycle) {
+  const delay = BUTTON_RETRY_DELAYS[lifecycle.buttonRetries];
+  if (delay === undefined) {
+    log('Giving up on the subscribe row until YouTube updates the page');
+    return;
+  }
   
-  // Get video title for filename
-  const title = getVideoTitle();
-  let filename;
-  if (title) {
-    filename = `${title}.txt`;
-  } else {
-    filename = `youtube-transcript-${videoId}.txt`;
+  lifecycle.buttonRetries++;
+  log(`Trying to add the transcript button again in ${delay / 1000}s`);
+  sleep(delay, lifecycle.controller.signal).then(() => {
+    if (lifecycle === pageLifecycle) {
+      addTranscriptButton();
+    }
+  }, () => {
+    // Navigation ended this page's lifecycle
+  });
+}
+
+// The video's title and owner block, outermost first; it holds the subscribe row but not
+// comments or live chat
+const BUTTON_WATCH_ROOT_SELECTORS = ['ytd-watch-metadata', '#above-the-fold'];
+
+// Put the button back if YouTube re-renders the row it sits in, or an ancestor of the row
+// inside the video's metadata block; without that block only the row's children are observed
+// Replacing the whole block detaches what is observed, which onPageDataUpdated covers
+function watchButtonContainer(lifecycle, container) {
+  if (lifecycle.observer) {
+    lifecycle.observer.disconnect();
   }
   
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  const root = BUTTON_WATCH_ROOT_SELECTORS
+    .map(selector => container.closest(selector))
+    .find(Boolean) || container;
+  lifecycle.observer = new MutationObserver(() => {
+    if (root.contains(document.getElementById('transcript-download-btn'))) return;
+    
+    lifecycle.observer.disconnect();
+    lifecycle.observer = null;
+    if (lifecycle === pageLifecycle) {
+      log('Transcript button was removed, adding it again');
+      addTranscriptButton();
+    }
+  });
+  lifecycle.observer.observe(root, { childList: true, subtree: root !== container });
+}
+
+// YouTube fired yt-page-data-updated: it may have re-rendered the page around the button
+// (detaching what watchButtonContainer observes) or finished rendering a row that was missing
+function onPageDataUpdated() {
+  if (!pageLifecycle || document.getElementById('transcript-download-btn')) return;
+  
+  log('Page data updated without a transcript button, adding it');
+  pageLifecycle.buttonRetries = 0;
+  addTranscriptButton();
 }
 
 // Create and add the transcript download button
-async function addTranscriptButton() {
+async function placeTranscriptButton(lifecycle) {
   try {
     log('Starting to add transcript button');
     
-    // Check if button already exists
-    if (document.getElementById('transcript-download-btn')) {
-      log('Button already exists, skipping');
+    const layout = getPageLayout();
+    const existingButton = document.getElementById('transcript-download-btn');
+    
+    // Check if button already exists in the right place for this layout
+    if (existingButton) {
+      const inOverlay = Boolean(existingButton.closest('#transcript-overlay'));
+      if (layout && inOverlay === Boolean(OVERLAY_POSITIONS[layout])) {
+        log('Button already exists, skipping');
+        // The button outlived the previous page's lifecycle, whose observer is gone
+        if (!inOverlay && !lifecycle.observer) {
+          watchButtonContainer(lifecycle, existingButton.parentElement);
+        }
+        return;
+      }
+      
+      // Left over from another layout (e.g. the hidden watch page after opening a Short)
+      removeTranscriptButtons();
+    }
+    
+    if (!layout) {
+      log('Not a video page, skipping button');
+      return;
+    }
+    
+    // Shorts, embeds and the mobile site have no subscribe row to sit in
+    if (layout !== 'watch') {
+      addOverlayButtons(layout);
       return;
     }
     
@@ -562,25 +2078,24 @@ async function addTranscriptButton() {
     
     let subscribeContainer = null;
     
-    for (const selector of selectors) {
-      try {
-        subscribeContainer = await waitForElement(selector, 2000);
-        log(`Found subscribe container with selector: ${selector}`);
-        break;
-      } catch (e) {
-        log(`Selector ${selector} not found, trying next...`);
-      }
-    }
-    
-    if (!subscribeContainer) {
-      log('No subscribe button container found with any selector');
+    try {
+      const match = await waitForAnyElement(selectors, {
+        root: document.querySelector('ytd-watch-flexy') || document.body,
+        signal: lifecycle.controller.signal
+      });
+      subscribeContainer = match.element;
+      log(`Found subscribe container with selector: ${match.selector}`);
+    } catch (error) {
+      if (lifecycle.controller.signal.aborted) return;
+      log('No subscribe button container found: ' + error.message);
+      scheduleButtonRetry(lifecycle);
       return;
     }
     
     // Create the transcript button
     const transcriptBtn = document.createElement('button');
     transcriptBtn.id = 'transcript-download-btn';
-    transcriptBtn.innerHTML = 'Download Transcript';
+    transcriptBtn.textContent = chrome.i18n.getMessage('downloadButton');
     
     // Get subscribe button styling to match (but keep red background)
     const subscribeButton = subscribeContainer.querySelector('button, yt-button-shape') || subscribeContainer;
@@ -628,68 +2143,30 @@ async function addTranscriptButton() {
       vertical-align: top;
     `;
     
-    transcriptBtn.addEventListener('mouseenter', () => {
-      transcriptBtn.style.backgroundColor = '#a00000';
-    });
-    
-    transcriptBtn.addEventListener('mouseleave', () => {
-      transcriptBtn.style.backgroundColor = '#cc0000';
-    });
+    // Small toggle next to the button opens the options menu
+    const optionsBtn = document.createElement('button');
+    optionsBtn.id = 'transcript-options-btn';
+    optionsBtn.innerHTML = '▾';
+    optionsBtn.title = chrome.i18n.getMessage('optionsButtonTitle');
+    optionsBtn.style.cssText = transcriptBtn.style.cssText;
+    optionsBtn.style.marginLeft = '2px';
+    optionsBtn.style.padding = `${verticalPadding}px 10px`;
     
-    transcriptBtn.addEventListener('click', async () => {
-      const originalText = transcriptBtn.innerHTML;
-      transcriptBtn.innerHTML = '⏳ Loading...';
-      transcriptBtn.disabled = true;
-      
-      try {
-        const videoId = getVideoId();
-        if (!videoId) {
-          throw new Error('Video ID not found');
-        }
-        
-        const transcriptData = await fetchTranscript(videoId);
-        const formattedText = formatTranscript(transcriptData);
-        
-        if (!formattedText.trim()) {
-          throw new Error('No transcript text found');
-        }
-        
-        // Copy to clipboard
-        try {
-          await navigator.clipboard.writeText(formattedText);
-          log('Transcript copied to clipboard');
-        } catch (clipboardError) {
-          log('Failed to copy to clipboard: ' + clipboardError.message);
-        }
-        
-        downloadTranscript(formattedText, videoId);
-        
-        transcriptBtn.innerHTML = '✓ Downloaded & Copied!';
-        setTimeout(() => {
-          transcriptBtn.innerHTML = originalText;
-          transcriptBtn.disabled = false;
-        }, 2000);
-        
-      } catch (error) {
-        console.error('Transcript download failed:', error);
-        transcriptBtn.innerHTML = '❌ Failed';
-        setTimeout(() => {
-          transcriptBtn.innerHTML = originalText;
-          transcriptBtn.disabled = false;
-        }, 2000);
-      }
-    });
+    setUpTranscriptButtons(transcriptBtn, optionsBtn);
     
     // Insert the button next to the subscribe button
     const parent = subscribeContainer.parentElement;
     if (parent) {
       parent.insertBefore(transcriptBtn, subscribeContainer.nextSibling);
+      parent.insertBefore(optionsBtn, transcriptBtn.nextSibling);
       log('Transcript button added successfully');
     } else {
       // Fallback: add to the subscribe container itself
       subscribeContainer.appendChild(transcriptBtn);
+      subscribeContainer.appendChild(optionsBtn);
       log('Transcript button added to subscribe container directly');
     }
+    watchButtonContainer(lifecycle, parent || subscribeContainer);
     
   } catch (error) {
     log('Error adding transcript button: ' + error.message);
@@ -697,35 +2174,47 @@ async function addTranscriptButton() {
   }
 }
 
+// Tear down the page's waits and observer as YouTube starts navigating away
+function onNavigateStart() {
+  log('Navigation started, stopping page observers');
+  stopPageLifecycle();
+  
+  // Track and translation lists and the clip range in the menu belong to the previous video
+  const menu = document.getElementById('transcript-options-menu');
+  if (menu) {
+    menu.style.display = 'none';
+  }
+  clearClipInputs();
+}
+
+// Set up the page additions for the page on screen, on first load and after YouTube
+// navigates in place
+function onNavigate() {
+  log('Navigation finished, updating buttons');
+  startPageLifecycle();
+  closeStaleTranscriptSidebar();
+  addTranscriptButton();
+  updateBulkDownloadButton();
+}
+
 // Initialize when page loads
 function init() {
   log('Extension initializing...');
   
-  // Add button when page first loads
-  setTimeout(addTranscriptButton, 2000); // Give YouTube time to load
-  
-  // Re-add button when navigating between videos (YouTube is a SPA)
-  let currentUrl = window.location.href;
-  const observer = new MutationObserver(() => {
-    if (window.location.href !== currentUrl) {
-      currentUrl = window.location.href;
-      log('URL changed, re-adding button');
-      setTimeout(addTranscriptButton, 2000); // Longer delay for navigation
-    }
-  });
+  document.addEventListener('click', closeOptionsMenuOnOutsideClick);
+  chrome.runtime.onMessage.addListener(handleBackgroundMessage);
   
-  observer.observe(document.body, { 
-    childList: true, 
-    subtree: true 
-  });
+  // YouTube is a SPA: the desktop site fires yt-navigate-start/finish and the mobile site
+  // state-navigatestart/end around each in-app navigation
+  for (const eventName of ['yt-navigate-start', 'state-navigatestart']) {
+    document.addEventListener(eventName, onNavigateStart);
+  }
+  for (const eventName of ['yt-navigate-finish', 'state-navigateend']) {
+    document.addEventListener(eventName, onNavigate);
+  }
+  document.addEventListener('yt-page-data-updated', onPageDataUpdated);
   
-  // Also try to add button on specific YouTube events
-  setInterval(() => {
-    if (window.location.href.includes('/watch') && !document.getElementById('transcript-download-btn')) {
-      log('Periodic check - trying to add button');
-      addTranscriptButton();
-    }
-  }, 5000); // Check every 5 seconds
+  onNavigate();
 }
 
 // Start the extension
@@ -734,4 +2223,4 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
 } else {
   init();
-}
\ No newline at end of file
+}
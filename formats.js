@@ -0,0 +1,820 @@
+// Output formats for transcripts
+//
+// Every extraction method produces the same transcript object:
+// {
+//   videoId, title, channel, url,
+//   source,            // 'panel', 'automation', 'player-response' or 'api'
+//   language,          // caption language code, null when unknown
+//   languageName,      // human readable track name
+//   isAutoGenerated,   // true for YouTube's speech recognition (ASR) tracks
+//   translation,       // null, or { language, languageName, bilingual } for machine translations
+//   metadata,          // { channelId, publishDate, durationSeconds, viewCount, description, thumbnailUrl,
+//                      //   extractedAt },
+//                      // any of them null when YouTube did not provide it
+//   chapters,          // [{ start, title }] sorted by start, empty when the video has none
+//   clip,              // only on clips: { start, end, rebased } in video time, end null for the video end
+//   segments: [{ start, duration, text, words?, translatedText? }]   // times in seconds
+// }
+// words is only present for tracks with word-level timing: [{ offset, text }], where
+// offset is in seconds from the start of the segment.
+// A translated transcript has the translation as its text; a bilingual one keeps the
+// original text and adds translatedText for the same time range.
+// Cleaned transcripts (cleanup.js) also mark the segments that start a speaker turn with
+// speaker, the label their text now starts with.
+// The renderers below only depend on that object, never on the page.
+
+// Output formats offered for the download, labelMessage naming each in _locales
+// header marks formats that get the title/URL header, headerFields the ones whose header or
+// title block follows the headerFields setting, cleanup the ones written for reading, which the
+// clean-up settings apply to; subtitle and data formats keep the captions as YouTube has them
+const TRANSCRIPT_FORMATS = {
+  txt: { labelMessage: 'formatTxt', extension: 'txt', mimeType: 'text/plain', header: true, headerFields: true, cleanup: true },
+  readable: { labelMessage: 'formatReadable', extension: 'txt', mimeType: 'text/plain', header: true, headerFields: true, cleanup: true },
+  srt: { labelMessage: 'formatSrt', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { labelMessage: 'formatVtt', extension: 'vtt', mimeType: 'text/vtt' },
+  md: { labelMessage: 'formatMd', extension: 'md', mimeType: 'text/markdown', cleanup: true },
+  html: { labelMessage: 'formatHtml', extension: 'html', mimeType: 'text/html', headerFields: true, cleanup: true },
+  json: { labelMessage: 'formatJson', extension: 'json', mimeType: 'application/json' },
+  'words-json': { labelMessage: 'formatWordsJson', extension: 'words.json', mimeType: 'application/json' },
+  'words-tsv': { labelMessage: 'formatWordsTsv', extension: 'words.tsv', mimeType: 'text/tab-separated-values' }
+};
+
+// Convert a transcript object to the requested output format
+// options.includeTimestamps (default true) controls the timestamps in plain text, readable
+// paragraphs and documents, options.includeChapters (default true) splits them into chapter sections;
+// options.paragraphSeconds, options.pauseSeconds and options.removeOverlap tune
+// how readable paragraphs are built; options.cleanup, when given, are cleanTranscript's options,
+// used for the formats marked cleanup in TRANSCRIPT_FORMATS
+function formatTranscript(transcript, format = 'txt', options = {}) {
+  if (!transcript || !transcript.segments || transcript.segments.length === 0) {
+    throw new Error('No transcript text found');
+  }
+
+  if (options.cleanup && TRANSCRIPT_FORMATS[format] && TRANSCRIPT_FORMATS[format].cleanup) {
+    transcript = cleanTranscript(transcript, options.cleanup);
+    if (transcript.segments.length === 0) {
+      throw new Error('No transcript text left after clean-up');
+    }
+  }
+
+  switch (format) {
+    case 'srt':
+      return formatAsSrt(transcript.segments);
+    case 'vtt':
+      return formatAsVtt(transcript.segments);
+    case 'md':
+      return formatAsMarkdown(transcript, options);
+    case 'html':
+      return formatAsHtml(transcript, options);
+    case 'json':
+      return formatAsJson(transcript);
+    case 'words-json':
+      return formatWordsAsJson(transcript);
+    case 'words-tsv':
+      return formatWordsAsTsv(transcript);
+    case 'txt':
+      return formatInChapters(transcript, options, segments =>
+        formatAsText(segments, options.includeTimestamps !== false)
+      );
+    case 'readable':
+      return formatInChapters(transcript, options, segments => formatAsReadable(segments, options));
+    default:
+      throw new Error(`Unknown output format: ${format}`);
+  }
+}
+
+// Render each chapter under its own heading, or the whole transcript when there are no chapters
+function formatInChapters(transcript, options, renderSegments) {
+  const sections = options.includeChapters === false ? [] : splitIntoChapters(transcript);
+  if (sections.length === 0) {
+    return renderSegments(transcript.segments);
+  }
+
+  return sections
+    .map(({ chapter, segments }) =>
+      `=== ${formatTimestamp(chapter.start)} ${chapter.title} ===\n\n${renderSegments(segments)}`
+    )
+    .join('\n\n');
+}
+
+// Group segments under the chapter they start in, skipping chapters without any
+function splitIntoChapters(transcript) {
+  const chapters = transcript.chapters || [];
+  if (chapters.length === 0) {
+    return [];
+  }
+
+  const sections = chapters.map(chapter => ({ chapter, segments: [] }));
+  let index = 0;
+  for (const segment of transcript.segments) {
+    while (index + 1 < chapters.length && chapters[index + 1].start <= segment.start) {
+      index++;
+    }
+    sections[index].segments.push(segment);
+  }
+
+  return sections.filter(section => section.segments.length > 0);
+}
+
+// One transcript per chapter, for saving chapters as separate files
+function createChapterTranscripts(transcript) {
+  return splitIntoChapters(transcript).map(({ chapter, segments }, i) => ({
+    ...transcript,
+    title: `${transcript.title || transcript.videoId} - ${String(i + 1).padStart(2, '0')} ${chapter.title}`,
+    chapters: [],
+    segments
+  }));
+}
+
+// The part of a transcript from a time in the video onward, keeping the transcript's timestamps
+// The chapter playing at that time is kept so its heading still comes first; the times of a
+// rebased clip count from the clip start, so the video time is moved back to match them
+function getTranscriptFrom(transcript, videoTime) {
+  const start = transcript.clip && transcript.clip.rebased ? videoTime - transcript.clip.start : videoTime;
+  const chapters = transcript.chapters || [];
+  return {
+    ...transcript,
+    segments: transcript.segments.filter(segment => segment.start + (segment.duration || 0) > start),
+    chapters: chapters.filter((chapter, i) => i === chapters.length - 1 || chapters[i + 1].start > start)
+  };
+}
+
+// The part of a transcript between two times (in seconds), for clip downloads
+// Segments are trimmed to the range. With options.rebase all times count from the clip
+// start, so subtitle cues line up with a video cut at the same points
+function createClipTranscript(transcript, start, end = Infinity, { rebase = false } = {}) {
+  const shift = rebase ? start : 0;
+  const segments = [];
+
+  for (const segment of transcript.segments) {
+    const segmentEnd = segment.start + (segment.duration || 0);
+    const overlaps = segment.start < end && (segmentEnd > start || segment.start >= start);
+    if (!overlaps) continue;
+
+    const clippedStart = Math.max(segment.start, start);
+    const clippedEnd = Math.min(segmentEnd, end);
+    const clipped = {
+      ...segment,
+      start: roundSeconds(clippedStart - shift),
+      duration: roundSeconds(Math.max(0, clippedEnd - clippedStart))
+    };
+
+    if (segment.words) {
+      // Word offsets count from the segment start, which may have moved
+      const words = segment.words
+        .filter(word => segment.start + word.offset >= start && segment.start + word.offset < end)
+        .map(word => ({ ...word, offset: roundSeconds(segment.start + word.offset - clippedStart) }));
+      if (words.length > 0) {
+        clipped.words = words;
+      } else {
+        delete clipped.words;
+      }
+    }
+    segments.push(clipped);
+  }
+
+  // Keep the chapters playing during the clip, the first one starting at the clip start
+  const chapters = (transcript.chapters || [])
+    .filter((chapter, i, all) => chapter.start < end && (i === all.length - 1 || all[i + 1].start > start))
+    .map(chapter => ({ ...chapter, start: roundSeconds(Math.max(chapter.start, start) - shift) }));
+
+  return {
+    ...transcript,
+    segments,
+    chapters,
+    clip: { start, end: Number.isFinite(end) ? end : null, rebased: rebase }
+  };
+}
+
+// Describe a clip's range, e.g. "01:00 - 05:30 (timestamps from clip start)"
+function describeClip(clip) {
+  const range = `${formatTimestamp(clip.start)} - ${clip.end === null ? 'end' : formatTimestamp(clip.end)}`;
+  return clip.rebased ? `${range} (timestamps from clip start)` : range;
+}
+
+// Render segments as "[MM:SS] text" lines, or bare text lines without timestamps
+function formatAsText(segments, includeTimestamps = true) {
+  if (!includeTimestamps) {
+    return segments.map(segment => getSegmentLines(segment).join('\n')).join('\n');
+  }
+
+  return segments
+    .map(segment => {
+      const prefix = `[${formatTimestamp(segment.start)}] `;
+      // Bilingual lines share one timestamp, with the translation indented below
+      return prefix + getSegmentLines(segment).join('\n' + ' '.repeat(prefix.length));
+    })
+    .join('\n');
+}
+
+// Render segments as numbered SubRip cues
+function formatAsSrt(segments) {
+  const cues = segments.map((segment, i) => {
+    const start = formatCueTimestamp(segment.start, ',');
+    const end = formatCueTimestamp(segment.start + segment.duration, ',');
+    return `${i + 1}\n${start} --> ${end}\n${getSegmentLines(segment).join('\n')}`;
+  });
+
+  return cues.join('\n\n') + '\n';
+}
+
+// Render segments as WebVTT cues
+function formatAsVtt(segments) {
+  const cues = segments.map((segment, i) => {
+    const start = formatCueTimestamp(segment.start, '.');
+    const end = formatCueTimestamp(segment.start + segment.duration, '.');
+    // Cue text is parsed as markup, so escape the reserved characters
+    const text = getSegmentLines(segment).join('\n')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return `${i + 1}\n${start} --> ${end}\n${text}`;
+  });
+
+  return 'WEBVTT\n\n' + cues.join('\n\n') + '\n';
+}
+
+// Reflow caption fragments into paragraphs, with one timestamp per paragraph
+function formatAsReadable(segments, options = {}) {
+  const includeTimestamps = options.includeTimestamps !== false;
+
+  return buildParagraphs(segments, options)
+    .map(paragraph => {
+      const prefix = includeTimestamps ? `[${formatTimestamp(paragraph.start)}] ` : '';
+      const blocks = [prefix + paragraph.text];
+      if (paragraph.translatedText) {
+        blocks.push(paragraph.translatedText);
+      }
+      return blocks.join('\n');
+    })
+    .join('\n\n');
+}
+
+// Group segments into paragraphs of { start, text, translatedText }
+// A paragraph ends at a pause of pauseSeconds, or once it is paragraphSeconds long and a
+// sentence ends. Unpunctuated (ASR) captions break at pauses and at twice the window.
+// Every speaker turn starts a new paragraph.
+function buildParagraphs(segments, { paragraphSeconds = 45, pauseSeconds = 2, removeOverlap = true } = {}) {
+  const cleanedSegments = removeOverlap ? removeCaptionOverlap(segments) : segments;
+  const hasPunctuation = cleanedSegments.some(segment => /[.!?]/.test(segment.text));
+  const paragraphs = [];
+  let current = null;
+  let previous = null;
+
+  for (const segment of cleanedSegments) {
+    if (current) {
+      const pause = segment.start - (previous.start + previous.duration);
+      const length = segment.start - current.start;
+      const endsSentence = /[.!?…]["')\]]*$/.test(previous.text);
+      const canBreak = endsSentence || !hasPunctuation;
+
+      if (segment.speaker ||
+          (pause >= pauseSeconds && canBreak) ||
+          (length >= paragraphSeconds && canBreak) ||
+          length >= paragraphSeconds * 2) {
+        paragraphs.push(current);
+        current = null;
+      }
+    }
+
+    if (!current) {
+      current = { start: segment.start, texts: [], translatedTexts: [] };
+    }
+    current.texts.push(segment.text);
+    if (segment.translatedText) {
+      current.translatedTexts.push(segment.translatedText);
+    }
+    previous = segment;
+  }
+
+  if (current) {
+    paragraphs.push(current);
+  }
+
+  return paragraphs.map(paragraph => ({
+    start: paragraph.start,
+    text: paragraph.texts.join(' '),
+    translatedText: paragraph.translatedTexts.join(' ') || null
+  }));
+}
+
+// Drop words that rolling ASR captions repeat from the end of the previous segment
+function removeCaptionOverlap(segments) {
+  const result = [];
+  let previousWords = [];
+
+  for (const segment of segments) {
+    const words = segment.text.split(/\s+/);
+    const overlap = countOverlappingWords(previousWords, words);
+    previousWords = words;
+
+    if (overlap === words.length) continue;
+    result.push(overlap > 0 ? { ...segment, text: words.slice(overlap).join(' ') } : segment);
+  }
+
+  return result;
+}
+
+// Length of the longest run of words that ends previousWords and starts words
+// Single-word matches only count when they make up the whole segment, since short
+// words like "the" repeat naturally.
+function countOverlappingWords(previousWords, words) {
+  const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+  for (let length = Math.min(previousWords.length, words.length); length > 0; length--) {
+    if (length === 1 && words.length > 1) break;
+
+    const tail = previousWords.slice(-length).map(normalize).join(' ');
+    const head = words.slice(0, length).map(normalize).join(' ');
+    if (tail && tail === head) {
+      return length;
+    }
+  }
+
+  return 0;
+}
+
+// Render a Markdown note with YAML front matter, chapter headings and linked timestamps
+function formatAsMarkdown(transcript, options = {}) {
+  const lines = [createFrontMatter(transcript), '', `# ${escapeMarkdown(transcript.title || transcript.videoId)}`];
+  const includeTimestamps = options.includeTimestamps !== false;
+
+  const renderParagraphs = segments => buildParagraphs(segments, options)
+    .map(paragraph => {
+      const link = includeTimestamps
+        ? `[${formatTimestamp(paragraph.start)}](${getTimestampUrl(transcript, paragraph.start)}) `
+        : '';
+      const blocks = [link + escapeMarkdown(paragraph.text)];
+      if (paragraph.translatedText) {
+        blocks.push(`*${escapeMarkdown(paragraph.translatedText)}*`);
+      }
+      return blocks.join('\n');
+    })
+    .join('\n\n');
+
+  const sections = options.includeChapters === false ? [] : splitIntoChapters(transcript);
+  if (sections.length > 0) {
+    for (const { chapter, segments } of sections) {
+      lines.push('', `## [${formatTimestamp(chapter.start)}](${getTimestampUrl(transcript, chapter.start)}) ${escapeMarkdown(chapter.title)}`);
+      lines.push('', renderParagraphs(segments));
+    }
+  } else {
+    lines.push('', '## Transcript', '', renderParagraphs(transcript.segments));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// YAML front matter describing the video and caption track
+function createFrontMatter(transcript) {
+  const metadata = transcript.metadata || {};
+  const fields = [
+    ['title', transcript.title],
+    ['video_id', transcript.videoId],
+    ['url', `https://www.youtube.com/watch?v=${transcript.videoId}`],
+    ['channel', transcript.channel],
+    ['channel_id', metadata.channelId],
+    ['published', metadata.publishDate],
+    ['duration', typeof metadata.durationSeconds === 'number' ? formatTimestamp(metadata.durationSeconds) : null],
+    ['views', metadata.viewCount],
+    ['language', transcript.language],
+    ['auto_generated', transcript.isAutoGenerated],
+    ['translated_to', transcript.translation ? transcript.translation.language : null],
+    ['clip_start', transcript.clip ? formatTimestamp(transcript.clip.start) : null],
+    ['clip_end', transcript.clip && transcript.clip.end !== null ? formatTimestamp(transcript.clip.end) : null],
+    ['clip_rebased', transcript.clip ? transcript.clip.rebased : null],
+    ['extracted', metadata.extractedAt]
+  ];
+
+  const lines = ['---'];
+  for (const [key, value] of fields) {
+    if (value === null || value === undefined) continue;
+    // JSON strings are valid double-quoted YAML scalars
+    lines.push(`${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`);
+  }
+
+  if (metadata.description) {
+    lines.push('description: |-');
+    for (const line of metadata.description.split('\n')) {
+      lines.push(line ? `  ${line}` : '');
+    }
+  }
+
+  lines.push('---');
+  return lines.join('\n');
+}
+
+// Link that opens the video at the given time
+// Times in a rebased clip count from the clip start, so the link adds it back
+function getTimestampUrl(transcript, seconds) {
+  const offset = transcript.clip && transcript.clip.rebased ? transcript.clip.start : 0;
+  return `https://www.youtube.com/watch?v=${transcript.videoId}&t=${Math.floor(seconds + offset)}s`;
+}
+
+// Styles for the HTML document: a narrow reading column on screen, plain black on white in print
+const HTML_DOCUMENT_STYLES = `
+  body { max-width: 42em; margin: 2em auto; padding: 0 1em; color: #222; background: #fff;
+    font: 17px/1.6 Georgia, "Times New Roman", serif; }
+  a { color: #065fd4; }
+  .video { display: flex; gap: 1em; align-items: flex-start; margin-bottom: 1.5em; }
+  .video img { width: 240px; max-width: 40%; border-radius: 6px; }
+  .video h1 { margin: 0 0 0.3em; font-size: 1.5em; line-height: 1.25; }
+  .channel { margin: 0 0 0.5em; font-weight: bold; }
+  .details { margin: 0; font: 14px/1.5 Arial, sans-serif; color: #555; }
+  .details dt { float: left; clear: left; margin-right: 0.4em; font-weight: bold; }
+  .details dt::after { content: ":"; }
+  .details dd { margin: 0; }
+  nav { margin-bottom: 1.5em; font: 14px/1.5 Arial, sans-serif; }
+  nav ol { margin: 0.3em 0; padding-left: 1.5em; }
+  h2 { margin-top: 1.8em; font-size: 1.2em; }
+  .time { margin-right: 0.4em; font: 13px Arial, sans-serif; text-decoration: none; }
+  .translation { display: block; color: #555; font-style: italic; }
+  @page { margin: 2cm; }
+  @media print {
+    body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+    a { color: inherit; }
+    .time { color: #555; }
+    .video { break-inside: avoid; }
+    .video img { width: 5cm; }
+    h2 { break-after: avoid; }
+    p { orphans: 3; widows: 3; }
+  }
+`;
+
+// Render a standalone HTML page for reading and printing: thumbnail, title and channel block,
+// an optional chapter list, chapter headings and timestamps that link back to the video
+// The details under the title follow options.headerFields like the text header
+function formatAsHtml(transcript, options = {}) {
+  const metadata = transcript.metadata || {};
+  const fields = options.headerFields || DEFAULT_SETTINGS.headerFields;
+  const includeTimestamps = options.includeTimestamps !== false;
+  const title = transcript.title || transcript.videoId;
+  const videoUrl = `https://www.youtube.com/watch?v=${transcript.videoId}`;
+  const thumbnailUrl = metadata.thumbnailUrl || `https://i.ytimg.com/vi/${transcript.videoId}/hqdefault.jpg`;
+
+  const timeLink = seconds =>
+    `<a class="time" href="${escapeHtml(getTimestampUrl(transcript, seconds))}">${formatTimestamp(seconds)}</a>`;
+
+  const renderParagraphs = segments => buildParagraphs(segments, options)
+    .map(paragraph => {
+      let html = (includeTimestamps ? timeLink(paragraph.start) + ' ' : '') + escapeHtml(paragraph.text);
+      if (paragraph.translatedText) {
+        html += `<span class="translation">${escapeHtml(paragraph.translatedText)}</span>`;
+      }
+      return `<p>${html}</p>`;
+    })
+    .join('\n');
+
+  const lines = [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(transcript.translation ? transcript.translation.language : transcript.language || 'en')}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${HTML_DOCUMENT_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    '<header class="video">',
+    `<a href="${escapeHtml(videoUrl)}"><img src="${escapeHtml(thumbnailUrl)}" alt=""></a>`,
+    '<div>',
+    `<h1><a href="${escapeHtml(videoUrl)}">${escapeHtml(title)}</a></h1>`
+  ];
+
+  const details = getHeaderDetails(transcript).filter(([field, , value]) => value && fields.includes(field));
+  const channel = details.find(([field]) => field === 'channel');
+  if (channel) {
+    lines.push(`<p class="channel">${escapeHtml(channel[2])}</p>`);
+  }
+  // The title and channel are already shown above
+  const rows = details.filter(([field]) => field !== 'title' && field !== 'channel');
+  if (rows.length > 0) {
+    lines.push('<dl class="details">');
+    for (const [field, label, value] of rows) {
+      const html = field === 'url' ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value);
+      lines.push(`<dt>${label}</dt><dd>${html}</dd>`);
+    }
+    lines.push('</dl>');
+  }
+  lines.push('</div>', '</header>');
+
+  const sections = options.includeChapters === false ? [] : splitIntoChapters(transcript);
+  if (sections.length > 0) {
+    if (fields.includes('chapters')) {
+      lines.push('<nav>', '<strong>Chapters</strong>', '<ol>');
+      sections.forEach(({ chapter }, i) => {
+        lines.push(`<li><a href="#chapter-${i + 1}">${escapeHtml(chapter.title)}</a> (${formatTimestamp(chapter.start)})</li>`);
+      });
+      lines.push('</ol>', '</nav>');
+    }
+    lines.push('<main>');
+    sections.forEach(({ chapter, segments }, i) => {
+      lines.push(`<section id="chapter-${i + 1}">`);
+      lines.push(`<h2>${timeLink(chapter.start)} ${escapeHtml(chapter.title)}</h2>`);
+      lines.push(renderParagraphs(segments), '</section>');
+    });
+    lines.push('</main>');
+  } else {
+    lines.push('<main>', renderParagraphs(transcript.segments), '</main>');
+  }
+
+  lines.push('</body>', '</html>');
+  return lines.join('\n') + '\n';
+}
+
+// Escape text for use in HTML content and attribute values
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escape characters that Markdown would treat as formatting
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+// Text lines of a segment: the original, then its translation in bilingual transcripts
+function getSegmentLines(segment) {
+  return segment.translatedText ? [segment.text, segment.translatedText] : [segment.text];
+}
+
+// Render the whole transcript object for analysis scripts
+function formatAsJson(transcript) {
+  return JSON.stringify(transcript, null, 2) + '\n';
+}
+
+// List every timed word with absolute start and end times in seconds
+function getWordTimings(transcript) {
+  if (!transcript.segments.some(segment => segment.words)) {
+    throw new Error('This caption track has no word-level timing');
+  }
+
+  const words = [];
+  for (const segment of transcript.segments) {
+    const segmentEnd = segment.start + segment.duration;
+    const segmentWords = segment.words || [{ offset: 0, text: segment.text }];
+
+    segmentWords.forEach((word, i) => {
+      const next = segmentWords[i + 1];
+      const start = segment.start + word.offset;
+      // A word lasts until the next word, or until its segment ends
+      const end = next ? segment.start + next.offset : Math.max(start, segmentEnd);
+      words.push({ start: roundSeconds(start), end: roundSeconds(end), text: word.text });
+    });
+  }
+
+  return words;
+}
+
+// Render word timings as JSON for alignment tools
+function formatWordsAsJson(transcript) {
+  const data = {
+    videoId: transcript.videoId,
+    language: transcript.language,
+    words: getWordTimings(transcript)
+  };
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+// Render word timings as start/end/word rows
+function formatWordsAsTsv(transcript) {
+  const rows = getWordTimings(transcript).map(word =>
+    `${word.start.toFixed(3)}\t${word.end.toFixed(3)}\t${word.text.replace(/\t/g, ' ')}`
+  );
+  return ['start\tend\tword', ...rows].join('\n') + '\n';
+}
+
+// Round seconds to millisecond precision
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// Add the title/URL header used by text downloads, with a chapter list when there are chapters
+// and the analytics block when its fields are on
+// options.headerFields (default the headerFields setting's default) picks the fields; without
+// any, the text is returned as is; the analytics are computed on the transcript as
+// options.cleanup cleans it
+function createFormattedTranscript(transcript, transcriptText, options = {}) {
+  const fields = options.headerFields || DEFAULT_SETTINGS.headerFields;
+  let header = '';
+
+  for (const [field, label, value] of getHeaderDetails(transcript)) {
+    if (value && fields.includes(field)) {
+      header += `${label}: ${value}\n`;
+    }
+  }
+
+  const chapters = transcript.chapters || [];
+  if (options.includeChapters !== false && fields.includes('chapters') && chapters.length > 0) {
+    header += (header ? '\n' : '') + 'Chapters:\n' + chapters
+      .map(chapter => `  ${formatTimestamp(chapter.start)} ${chapter.title}`)
+      .join('\n') + '\n';
+  }
+
+  if (fields.includes('stats') || fields.includes('summary')) {
+    const analytics = createAnalyticsHeader(transcript, fields, options);
+    header += analytics && header ? '\n' + analytics : analytics;
+  }
+
+  if (!header) {
+    return transcriptText;
+  }
+
+  header += `
+--- TRANSCRIPT ---
+
+`;
+
+  return header + transcriptText;
+}
+
+// Statistics and summary lines for the header, or '' when there is nothing to show
+function createAnalyticsHeader(transcript, fields, options) {
+  const source = options.cleanup ? cleanTranscript(transcript, options.cleanup) : transcript;
+  if (source.segments.length === 0) {
+    return '';
+  }
+
+  const stats = analyzeTranscript(source, { ...options, summary: fields.includes('summary') });
+  const blocks = [];
+
+  if (fields.includes('stats')) {
+    const lines = [`  Words: ${stats.wordCount.toLocaleString('en-US')}`];
+    if (stats.wordsPerMinute !== null) {
+      lines.push(`  Speaking rate: ${stats.wordsPerMinute} words per minute`);
+    }
+    lines.push(`  Reading time: about ${stats.readingMinutes} min`);
+    if (stats.silences.length > 0) {
+      lines.push('  Longest silences: ' + stats.silences
+        .map(silence => `${formatTimestamp(silence.start)} (${Math.round(silence.duration)}s)`)
+        .join(', '));
+    }
+    if (stats.keywords.length > 0) {
+      lines.push(`  Keywords: ${stats.keywords.join(', ')}`);
+    }
+    if (stats.keyPhrases.length > 0) {
+      lines.push(`  Key phrases: ${stats.keyPhrases.join(', ')}`);
+    }
+    blocks.push('Statistics:\n' + lines.join('\n') + '\n');
+  }
+
+  if (stats.summary.length > 0) {
+    blocks.push('Summary:\n' + stats.summary
+      .map(sentence => `  [${formatTimestamp(sentence.start)}] ${sentence.text}`)
+      .join('\n') + '\n');
+  }
+
+  return blocks.join('\n');
+}
+
+// Header details as [field, label, value], value null when the transcript doesn't have it
+function getHeaderDetails(transcript) {
+  const metadata = transcript.metadata || {};
+  return [
+    ['title', 'Title', transcript.title || 'Unknown Video'],
+    ['url', 'URL', transcript.url],
+    ['channel', 'Channel', transcript.channel],
+    ['published', 'Published', metadata.publishDate],
+    ['duration', 'Duration', typeof metadata.durationSeconds === 'number' ? formatTimestamp(metadata.durationSeconds) : null],
+    ['views', 'Views', typeof metadata.viewCount === 'number' ? metadata.viewCount.toLocaleString('en-US') : null],
+    ['language', 'Language', describeLanguage(transcript)],
+    ['clip', 'Clip', transcript.clip ? describeClip(transcript.clip) : null]
+  ];
+}
+
+// Describe the caption language, e.g. "Spanish [es] (auto-generated), translated to French"
+function describeLanguage(transcript) {
+  if (!transcript.language && !transcript.languageName) {
+    return null;
+  }
+
+  // The track names of speech recognition tracks carry YouTube's "(auto-generated)" in the
+  // language of its interface, so they are named from the language code instead
+  let description = transcript.isAutoGenerated && transcript.language
+    ? getLanguageName(transcript.language)
+    : transcript.languageName || transcript.language;
+  if (transcript.language && description !== transcript.language) {
+    description += ` [${transcript.language}]`;
+  }
+  if (transcript.isAutoGenerated) {
+    description += ' (auto-generated)';
+  }
+  if (transcript.translation) {
+    description += `, translated to ${transcript.translation.languageName}`;
+  }
+  return description;
+}
+
+// Name of a language code in a locale (English by default), or the code when it has none
+function getLanguageName(language, locale = 'en') {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    return language;
+  }
+}
+
+// Clean up text for use in a filename (remove invalid characters)
+function sanitizeFilename(name) {
+  return name.replace(/[<>:"/\\|?*]/g, '-').replace(/\s+/g, ' ').trim();
+}
+
+// Options for formatTranscript taken from the settings
+function getFormatOptions(settings) {
+  return {
+    includeTimestamps: settings.includeTimestamps,
+    includeChapters: settings.includeChapters,
+    paragraphSeconds: settings.readableParagraphSeconds,
+    pauseSeconds: settings.readablePauseSeconds,
+    removeOverlap: settings.readableRemoveOverlap,
+    headerFields: settings.headerFields,
+    cleanup: {
+      removeSoundTags: settings.removeSoundTags,
+      labelSpeakers: settings.labelSpeakers,
+      removeFillerWords: settings.removeFillerWords,
+      normalizeCase: settings.normalizeAsrCase
+    }
+  };
+}
+
+// Values for the {token} placeholders of the filename and folder templates
+function getFilenameValues(transcript) {
+  return {
+    title: transcript.title,
+    channel: transcript.channel,
+    date: new Date().toISOString().slice(0, 10),
+    videoId: transcript.videoId,
+    lang: transcript.translation ? transcript.translation.language : transcript.language
+  };
+}
+
+// Build the download filename from the filename template setting
+function buildFilename(transcript, format, filenameTemplate) {
+  const formatInfo = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.txt;
+  const name = sanitizeFilename(applyFilenameTemplate(
+    filenameTemplate || DEFAULT_SETTINGS.filenameTemplate,
+    getFilenameValues(transcript)
+  ));
+  
+  // Fall back to the video ID when the template produced nothing usable
+  const baseName = name.replace(/^[\s.-]+|[\s.-]+$/g, '') ? name : `youtube-transcript-${transcript.videoId}`;
+  return `${baseName}.${formatInfo.extension}`;
+}
+
+// Put a filename inside the download folder setting, e.g. "YouTube Transcripts/{channel}"
+// Each folder is filled in and cleaned separately; folders that end up empty are dropped
+function buildDownloadPath(filename, folderTemplate, values) {
+  const folders = (folderTemplate || '')
+    .split(/[\\/]/)
+    .map(folder => sanitizeFilename(applyFilenameTemplate(folder, values)).replace(/^[\s.]+|[\s.]+$/g, ''))
+    .filter(Boolean);
+  return [...folders, filename].join('/');
+}
+
+// Complete file content for a download, adding the header to text formats
+function createTranscriptFileContent(text, transcript, format, settings = DEFAULT_SETTINGS) {
+  const formatInfo = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.txt;
+  // Subtitle and data files must start with their content, so only text formats get the header
+  return formatInfo.header
+    ? createFormattedTranscript(transcript, text, getFormatOptions(settings))
+    : text;
+}
+
+// Convert seconds to HH:MM:SS<separator>mmm for subtitle cues
+function formatCueTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}${separator}${ms.toString().padStart(3, '0')}`;
+}
+
+// Convert seconds to MM:SS or HH:MM:SS format
+function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  if (hours > 0) {
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  } else {
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+}
+
+// Convert MM:SS or HH:MM:SS to seconds
+function parseTimestamp(timestamp) {
+  const parts = timestamp.trim().split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const numbers = parts.map(Number);
+  if (numbers.some(isNaN)) return null;
+
+  return numbers.reduce((total, part) => total * 60 + part, 0);
+}
@@ -0,0 +1,174 @@
+// Library page: browse, search, re-export and delete stored transcripts
+
+// Run the search after typing pauses for this long (milliseconds)
+const SEARCH_DELAY = 200;
+
+// List the stored transcripts matching the search box
+async function showEntries() {
+  const query = document.getElementById('search').value;
+  const entries = document.getElementById('entries');
+  const summary = document.getElementById('summary');
+
+  try {
+    const results = await searchLibraryTranscripts(query);
+    entries.textContent = '';
+
+    if (results.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = chrome.i18n.getMessage(query.trim() ? 'libraryNoMatches' : 'libraryEmpty');
+      entries.appendChild(empty);
+      summary.textContent = '';
+      return;
+    }
+
+    summary.textContent = results.length === 1
+      ? chrome.i18n.getMessage('libraryCountOne')
+      : chrome.i18n.getMessage('libraryCount', String(results.length));
+    const settings = await loadSettings();
+    for (const result of results) {
+      entries.appendChild(createEntry(result, settings));
+    }
+  } catch (error) {
+    summary.textContent = chrome.i18n.getMessage('libraryReadFailed', error.message);
+  }
+}
+
+// Build the list entry for one search result
+function createEntry({ record, matchCount, snippets }, settings) {
+  const { transcript } = record;
+  const entry = document.createElement('div');
+  entry.className = 'entry';
+
+  const title = document.createElement('a');
+  title.className = 'entry-title';
+  title.href = transcript.url;
+  title.target = '_blank';
+  title.textContent = record.title || record.videoId;
+  entry.appendChild(title);
+
+  const details = [
+    record.channel,
+    describeLanguage(transcript),
+    transcript.segments.length === 1
+      ? chrome.i18n.getMessage('libraryLineCountOne')
+      : chrome.i18n.getMessage('libraryLineCount', String(transcript.segments.length)),
+    chrome.i18n.getMessage('librarySavedOn', new Date(record.savedAt).toLocaleDateString())
+  ];
+  if (matchCount > 0) {
+    details.push(matchCount === 1
+      ? chrome.i18n.getMessage('libraryMatchCountOne')
+      : chrome.i18n.getMessage('libraryMatchCount', String(matchCount)));
+  }
+  const detailLine = document.createElement('div');
+  detailLine.className = 'entry-details';
+  detailLine.textContent = details.filter(Boolean).join(' · ');
+  entry.appendChild(detailLine);
+
+  for (const snippet of snippets) {
+    const line = document.createElement('div');
+    line.className = 'snippet';
+    const time = document.createElement('a');
+    time.href = getTimestampUrl(transcript, snippet.start);
+    time.target = '_blank';
+    time.textContent = formatTimestamp(snippet.start);
+    line.append(time, snippet.text);
+    entry.appendChild(line);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+
+  const formatSelect = document.createElement('select');
+  for (const [value, info] of Object.entries(TRANSCRIPT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = chrome.i18n.getMessage(info.labelMessage);
+    formatSelect.appendChild(option);
+  }
+  formatSelect.value = TRANSCRIPT_FORMATS[settings.defaultFormat] ? settings.defaultFormat : 'txt';
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = chrome.i18n.getMessage('libraryExport');
+  exportButton.addEventListener('click', () => exportTranscript(transcript, formatSelect.value, settings));
+
+  const deleteButton = document.createElement('button');
+  deleteButton.textContent = chrome.i18n.getMessage('libraryDelete');
+  deleteButton.addEventListener('click', () => deleteEntry(record));
+
+  actions.append(formatSelect, exportButton, deleteButton);
+  entry.appendChild(actions);
+  return entry;
+}
+
+// Save a stored transcript as a file in the chosen format
+// The background's download handler waits for the download to finish, so the status shows
+// whether the file was really saved
+async function exportTranscript(transcript, format, settings) {
+  try {
+    const text = formatTranscript(transcript, format, getFormatOptions(settings));
+    const filename = buildDownloadPath(
+      buildFilename(transcript, format, settings.filenameTemplate),
+      settings.downloadFolder,
+      getFilenameValues(transcript)
+    );
+    const response = await chrome.runtime.sendMessage({
+      type: 'download',
+      content: createTranscriptFileContent(text, transcript, format, settings),
+      encoding: 'text',
+      mimeType: TRANSCRIPT_FORMATS[format].mimeType,
+      filename,
+      saveAs: settings.saveAs,
+      conflictAction: settings.conflictAction
+    });
+    if (!response || !response.ok) {
+      throw new Error(response ? response.error : 'No response from the background page');
+    }
+
+    const download = response.data;
+    if (download.state !== 'complete') {
+      throw new Error(`Download ${download.state}: ${download.error}`);
+    }
+    showStatus(chrome.i18n.getMessage('libraryExported', transcript.title || transcript.videoId));
+  } catch (error) {
+    showStatus(chrome.i18n.getMessage('libraryExportFailed', error.message));
+  }
+}
+
+// Remove a stored transcript after confirming
+async function deleteEntry(record) {
+  if (!confirm(chrome.i18n.getMessage('libraryDeleteConfirm', record.title || record.videoId))) return;
+
+  try {
+    await deleteLibraryTranscript(record.id);
+    showStatus(chrome.i18n.getMessage('libraryDeleted'));
+    await showEntries();
+  } catch (error) {
+    showStatus(chrome.i18n.getMessage('libraryDeleteFailed', error.message));
+  }
+}
+
+// Timer that clears the status message
+let statusTimer = null;
+
+// Show a short-lived status message
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, 2000);
+}
+
+// Timer for the pending search
+let searchTimer = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  localizePage();
+  showEntries();
+  document.getElementById('search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(showEntries, SEARCH_DELAY);
+  });
+});
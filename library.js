@@ -0,0 +1,165 @@
+// Transcript library kept in IndexedDB
+//
+// Loaded by the background service worker and the library page, which share the extension's
+// IndexedDB. Content scripts run in YouTube's origin and reach the library through messages
+// to the background (see background.js).
+//
+// Each record is { id, videoId, language, title, channel, savedAt, transcript } where
+// transcript is the full transcript object described in formats.js.
+
+const LIBRARY_DB_NAME = 'transcript-library';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'transcripts';
+
+// Number of matching lines kept per transcript in search results
+const LIBRARY_SEARCH_SNIPPETS = 3;
+
+// Open database, shared by all library calls
+let libraryDatabase = null;
+
+// Open (and on first use create) the library database
+function openLibrary() {
+  if (!libraryDatabase) {
+    libraryDatabase = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+        store.createIndex('videoId', 'videoId');
+        store.createIndex('savedAt', 'savedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        libraryDatabase = null;
+        reject(request.error);
+      };
+    });
+  }
+  return libraryDatabase;
+}
+
+// Run one request against the library store and resolve with its result
+async function runLibraryRequest(mode, createRequest) {
+  const db = await openLibrary();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(LIBRARY_STORE, mode);
+    const request = createRequest(transaction.objectStore(LIBRARY_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+  });
+}
+
+// Library key for a transcript: video, language, and which kind of track or translation it is
+function getLibraryId(transcript) {
+  const parts = [transcript.videoId, transcript.language || 'unknown'];
+  if (transcript.isAutoGenerated) {
+    parts.push('auto');
+  }
+  if (transcript.translation) {
+    parts.push((transcript.translation.bilingual ? 'bilingual-' : 'to-') + transcript.translation.language);
+  }
+  return parts.join(':');
+}
+
+// Store a transcript, replacing any earlier copy of the same track
+async function saveLibraryTranscript(transcript) {
+  const record = {
+    id: getLibraryId(transcript),
+    videoId: transcript.videoId,
+    language: transcript.language,
+    title: transcript.title,
+    channel: transcript.channel,
+    savedAt: new Date().toISOString(),
+    transcript
+  };
+  await runLibraryRequest('readwrite', store => store.put(record));
+  return record;
+}
+
+// All stored transcripts, most recently saved first
+async function listLibraryTranscripts() {
+  const records = await runLibraryRequest('readonly', store => store.index('savedAt').getAll());
+  return records.reverse();
+}
+
+// Delete a stored transcript by library ID
+async function deleteLibraryTranscript(id) {
+  await runLibraryRequest('readwrite', store => store.delete(id));
+}
+
+// Find a stored transcript that answers a transcript request, or null
+// request is { videoId, language, isAutoGenerated, preferredLanguages, translateTo, bilingual };
+// without a language the preferred languages decide, then the most recent copy
+async function findLibraryTranscript(request) {
+  const records = await runLibraryRequest('readonly', store => store.index('videoId').getAll(request.videoId));
+  const candidates = records
+    .filter(record => matchesLibraryRequest(record.transcript, request))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  if (!request.language) {
+    for (const language of request.preferredLanguages || []) {
+      const match = candidates.find(record =>
+        record.language && (record.language === language || record.language.startsWith(language + '-'))
+      );
+      if (match) {
+        return match.transcript;
+      }
+    }
+  }
+  return candidates[0].transcript;
+}
+
+// Whether a stored transcript is the track and translation a request asks for
+function matchesLibraryRequest(transcript, request) {
+  const translation = transcript.translation;
+  if ((translation ? translation.language : null) !== (request.translateTo || null)) {
+    return false;
+  }
+  if (translation && Boolean(translation.bilingual) !== Boolean(request.bilingual)) {
+    return false;
+  }
+  if (request.language) {
+    if (transcript.language !== request.language) {
+      return false;
+    }
+    if (request.isAutoGenerated !== undefined && Boolean(transcript.isAutoGenerated) !== request.isAutoGenerated) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Search titles, channels and transcript text of every stored transcript
+// Returns [{ record, matchCount, snippets: [{ start, text }] }], most recently saved first
+async function searchLibraryTranscripts(query) {
+  const records = await listLibraryTranscripts();
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return records.map(record => ({ record, matchCount: 0, snippets: [] }));
+  }
+
+  const results = [];
+  for (const record of records) {
+    const matchingSegments = record.transcript.segments.filter(segment =>
+      segment.text.toLowerCase().includes(needle) ||
+      (segment.translatedText && segment.translatedText.toLowerCase().includes(needle))
+    );
+    const inDetails = [record.title, record.channel].some(value => value && value.toLowerCase().includes(needle));
+
+    if (matchingSegments.length > 0 || inDetails) {
+      results.push({
+        record,
+        matchCount: matchingSegments.length,
+        snippets: matchingSegments.slice(0, LIBRARY_SEARCH_SNIPPETS).map(segment => ({
+          start: segment.start,
+          text: segment.text
+        }))
+      });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,16 @@
+// Text of the extension's own pages (settings, library) from _locales
+//
+// Chrome only replaces __MSG_name__ in the manifest and in CSS, so page markup names its
+// messages in attributes instead:
+//   data-i18n="name"               the element's text
+//   data-i18n-placeholder="name"   its placeholder
+
+// Fill in the marked text of the page
+function localizePage() {
+  for (const element of document.querySelectorAll('[data-i18n]')) {
+    element.textContent = chrome.i18n.getMessage(element.dataset.i18n);
+  }
+  for (const element of document.querySelectorAll('[data-i18n-placeholder]')) {
+    element.placeholder = chrome.i18n.getMessage(element.dataset.i18nPlaceholder);
+  }
+}
@@ -0,0 +1,33 @@
+// Offscreen document: blob URLs for downloads too large for a data URL
+//
+// The background service worker has no URL.createObjectURL, so it hands large files here
+// and downloads the blob URL it gets back. Each URL is revoked once its download has ended.
+
+// Message handlers by message type; each returns the response data
+const OFFSCREEN_HANDLERS = {
+  'offscreen-create-blob-url': message => URL.createObjectURL(createDownloadBlob(message)),
+  'offscreen-revoke-blob-url': message => URL.revokeObjectURL(message.url)
+};
+
+// Blob of a file sent as the background's download handler gets it: text as is, binary
+// files (ZIP archives) as base64
+function createDownloadBlob({ content, encoding, mimeType }) {
+  if (encoding === 'base64') {
+    return new Blob([Uint8Array.from(atob(content), character => character.charCodeAt(0))], { type: mimeType });
+  }
+  return new Blob([content], { type: `${mimeType};charset=utf-8` });
+}
+
+// Answer the background's messages with { ok: true, data } or { ok: false, error }
+// Content script messages reach this document too; they are left for the background
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = message && OFFSCREEN_HANDLERS[message.type];
+  if (!handler || sender.tab) return false;
+
+  try {
+    sendResponse({ ok: true, data: handler(message) });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+  return false;
+});
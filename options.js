@@ -0,0 +1,274 @@
+// Options page: edit the settings stored in chrome.storage.sync, and the "Send to…" endpoints
+// kept in chrome.storage.local (webhooks.js)
+
+// Fill the form from the stored settings
+async function restoreOptions() {
+  const settings = await loadSettings();
+  
+  const formatSelect = document.getElementById('defaultFormat');
+  for (const [value, info] of Object.entries(TRANSCRIPT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = chrome.i18n.getMessage(info.labelMessage);
+    formatSelect.appendChild(option);
+  }
+  formatSelect.value = settings.defaultFormat;
+  
+  document.getElementById('includeTimestamps').checked = settings.includeTimestamps;
+  
+  const modeInput = document.querySelector(`input[name="outputMode"][value="${settings.outputMode}"]`);
+  if (modeInput) {
+    modeInput.checked = true;
+  }
+  
+  document.getElementById('filenameTemplate').value = settings.filenameTemplate;
+  document.getElementById('filenameTokens').textContent = chrome.i18n.getMessage('optionsFilenameTokens',
+    FILENAME_TOKENS.map(token => `{${token}}`).join(', '));
+  
+  document.getElementById('showPreview').checked = settings.showPreview;
+  
+  document.getElementById('downloadFolder').value = settings.downloadFolder;
+  document.getElementById('saveAs').checked = settings.saveAs;
+  document.getElementById('conflictAction').value = settings.conflictAction;
+  
+  document.getElementById('includeChapters').checked = settings.includeChapters;
+  document.getElementById('splitChapters').checked = settings.splitChapters;
+  
+  document.getElementById('readableParagraphSeconds').value = settings.readableParagraphSeconds;
+  document.getElementById('readablePauseSeconds').value = settings.readablePauseSeconds;
+  document.getElementById('readableRemoveOverlap').checked = settings.readableRemoveOverlap;
+  
+  document.getElementById('removeSoundTags').checked = settings.removeSoundTags;
+  document.getElementById('labelSpeakers').checked = settings.labelSpeakers;
+  document.getElementById('removeFillerWords').checked = settings.removeFillerWords;
+  document.getElementById('normalizeAsrCase').checked = settings.normalizeAsrCase;
+  
+  document.getElementById('headerStats').checked = settings.headerFields.includes('stats');
+  document.getElementById('headerSummary').checked = settings.headerFields.includes('summary');
+  
+  document.getElementById('preferredLanguages').value = settings.preferredLanguages.join(', ');
+  
+  for (const webhook of await loadWebhooks()) {
+    addWebhookRow(webhook);
+  }
+  document.getElementById('payloadTokens').textContent = chrome.i18n.getMessage('optionsPayloadTokens', [
+    PAYLOAD_TOKENS.map(token => `{${token}}`).join(', '),
+    DEFAULT_PAYLOAD_TEMPLATE
+  ]);
+}
+
+// Add the form of one "Send to…" endpoint
+function addWebhookRow(webhook) {
+  const row = document.createElement('fieldset');
+  row.className = 'webhook';
+  row.dataset.id = webhook.id;
+  
+  const inputs = [
+    ['name', 'optionsWebhookName', 'input', webhook.name, chrome.i18n.getMessage('optionsWebhookNamePlaceholder')],
+    ['url', 'optionsWebhookUrl', 'input', webhook.url, 'http://localhost:8080/transcripts'],
+    ['headers', 'optionsWebhookHeaders', 'textarea', formatWebhookHeaders(webhook.headers), 'Authorization: Bearer …'],
+    ['payloadTemplate', 'optionsWebhookPayloadTemplate', 'textarea', webhook.payloadTemplate, DEFAULT_PAYLOAD_TEMPLATE]
+  ];
+  for (const [key, labelMessage, tagName, value, placeholder] of inputs) {
+    const field = document.createElement('div');
+    field.className = 'field';
+    const label = document.createElement('label');
+    label.textContent = chrome.i18n.getMessage(labelMessage);
+    const input = document.createElement(tagName);
+    if (tagName === 'input') {
+      input.type = 'text';
+    } else {
+      input.rows = 3;
+    }
+    input.className = 'webhook-' + key;
+    input.value = value || '';
+    input.placeholder = placeholder;
+    input.spellcheck = false;
+    label.appendChild(input);
+    field.appendChild(label);
+    row.appendChild(field);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'webhook-actions';
+  const access = document.createElement('span');
+  access.className = 'webhook-access';
+  const allowButton = document.createElement('button');
+  allowButton.type = 'button';
+  allowButton.textContent = chrome.i18n.getMessage('optionsWebhookAllow');
+  allowButton.addEventListener('click', () => requestWebhookAccess(row));
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.textContent = chrome.i18n.getMessage('optionsWebhookRemove');
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    saveOptions();
+  });
+  actions.append(access, allowButton, removeButton);
+  // Why the form couldn't be saved, filled in by readWebhooks
+  const error = document.createElement('div');
+  error.className = 'webhook-error';
+  row.append(error, actions);
+  
+  row.querySelector('.webhook-url').addEventListener('change', () => updateWebhookAccess(row));
+  document.getElementById('webhooks').appendChild(row);
+  updateWebhookAccess(row);
+  return row;
+}
+
+// Show whether the extension may send to the endpoint's host
+async function updateWebhookAccess(row) {
+  const access = row.querySelector('.webhook-access');
+  const allowButton = row.querySelector('.webhook-actions button');
+  const url = row.querySelector('.webhook-url').value.trim();
+  allowButton.hidden = true;
+  if (!url) {
+    access.textContent = '';
+    return;
+  }
+  
+  try {
+    const origins = [getWebhookOriginPattern(url)];
+    const allowed = await chrome.permissions.contains({ origins });
+    access.textContent = chrome.i18n.getMessage(allowed ? 'optionsWebhookAllowed' : 'optionsWebhookNotAllowed', new URL(url).hostname);
+    allowButton.hidden = allowed;
+  } catch (error) {
+    access.textContent = error.message;
+  }
+}
+
+// Ask for access to the endpoint's host; has to run from a click
+async function requestWebhookAccess(row) {
+  try {
+    const origins = [getWebhookOriginPattern(row.querySelector('.webhook-url').value.trim())];
+    await chrome.permissions.request({ origins });
+  } catch (error) {
+    showStatus(chrome.i18n.getMessage('optionsAccessFailed', error.message));
+  }
+  updateWebhookAccess(row);
+}
+
+// Read the endpoint forms, skipping those without a URL, as { webhooks, invalid }
+// A form that can't be used is marked with its error and keeps its endpoint as in
+// storedWebhooks, so one mistake doesn't hold back the other forms; invalid tells whether any was
+function readWebhooks(storedWebhooks) {
+  const webhooks = [];
+  let invalid = false;
+  for (const row of document.querySelectorAll('#webhooks .webhook')) {
+    const error = row.querySelector('.webhook-error');
+    try {
+      const webhook = readWebhookRow(row);
+      if (webhook) {
+        webhooks.push(webhook);
+      }
+      error.textContent = '';
+      row.classList.remove('invalid');
+    } catch (readError) {
+      error.textContent = readError.message;
+      row.classList.add('invalid');
+      invalid = true;
+      const stored = storedWebhooks.find(webhook => webhook.id === row.dataset.id);
+      if (stored) {
+        webhooks.push(stored);
+      }
+    }
+  }
+  return { webhooks, invalid };
+}
+
+// Read one endpoint form, or null when it has no URL
+// Throws when its URL, header lines or payload template can't be used
+function readWebhookRow(row) {
+  const url = row.querySelector('.webhook-url').value.trim();
+  if (!url) return null;
+  
+  getWebhookOriginPattern(url);
+  const payloadTemplate = row.querySelector('.webhook-payloadTemplate').value.trim();
+  if (payloadTemplate) {
+    validatePayloadTemplate(payloadTemplate);
+  }
+  return {
+    id: row.dataset.id,
+    name: row.querySelector('.webhook-name').value.trim() || new URL(url).hostname,
+    url,
+    headers: parseWebhookHeaders(row.querySelector('.webhook-headers').value),
+    payloadTemplate
+  };
+}
+
+// Read a number input, falling back to the default when it is empty or invalid
+function readNumber(id, fallback) {
+  const value = parseFloat(document.getElementById(id).value);
+  return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+// Read the form and store it
+async function saveOptions() {
+  const checkedMode = document.querySelector('input[name="outputMode"]:checked');
+  const filenameTemplate = document.getElementById('filenameTemplate').value.trim();
+  const preferredLanguages = document.getElementById('preferredLanguages').value
+    .split(',')
+    .map(language => language.trim())
+    .filter(Boolean);
+  
+  try {
+    // The other header fields are picked in the preview, so only these two change here
+    const { headerFields } = await loadSettings();
+    const analyticsFields = {
+      stats: document.getElementById('headerStats').checked,
+      summary: document.getElementById('headerSummary').checked
+    };
+    await saveSettings({
+      defaultFormat: document.getElementById('defaultFormat').value,
+      includeTimestamps: document.getElementById('includeTimestamps').checked,
+      outputMode: checkedMode ? checkedMode.value : DEFAULT_SETTINGS.outputMode,
+      filenameTemplate: filenameTemplate || DEFAULT_SETTINGS.filenameTemplate,
+      showPreview: document.getElementById('showPreview').checked,
+      downloadFolder: document.getElementById('downloadFolder').value.trim(),
+      saveAs: document.getElementById('saveAs').checked,
+      conflictAction: document.getElementById('conflictAction').value,
+      includeChapters: document.getElementById('includeChapters').checked,
+      splitChapters: document.getElementById('splitChapters').checked,
+      readableParagraphSeconds: readNumber('readableParagraphSeconds', DEFAULT_SETTINGS.readableParagraphSeconds),
+      readablePauseSeconds: readNumber('readablePauseSeconds', DEFAULT_SETTINGS.readablePauseSeconds),
+      readableRemoveOverlap: document.getElementById('readableRemoveOverlap').checked,
+      removeSoundTags: document.getElementById('removeSoundTags').checked,
+      labelSpeakers: document.getElementById('labelSpeakers').checked,
+      removeFillerWords: document.getElementById('removeFillerWords').checked,
+      normalizeAsrCase: document.getElementById('normalizeAsrCase').checked,
+      headerFields: HEADER_FIELDS.filter(field =>
+        field in analyticsFields ? analyticsFields[field] : headerFields.includes(field)
+      ),
+      preferredLanguages
+    });
+    const { webhooks, invalid } = readWebhooks(await loadWebhooks());
+    await saveWebhooks(webhooks);
+    showStatus(chrome.i18n.getMessage(invalid ? 'optionsWebhooksInvalid' : 'optionsSaved'));
+  } catch (error) {
+    showStatus(chrome.i18n.getMessage('optionsSaveFailed', error.message));
+  }
+}
+
+// Timer that clears the status message
+let statusTimer = null;
+
+// Show a short-lived status message
+function showStatus(message) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, 2000);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  localizePage();
+  restoreOptions();
+  // Save as soon as anything changes
+  document.body.addEventListener('change', saveOptions);
+  document.getElementById('addWebhook').addEventListener('click', () => {
+    const row = addWebhookRow({ id: crypto.randomUUID(), name: '', url: '', headers: {}, payloadTemplate: '' });
+    row.querySelector('.webhook-name').focus();
+  });
+});
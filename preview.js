@@ -0,0 +1,320 @@
+// Preview-and-edit dialog shown before a transcript is copied or saved
+//
+// The dialog shows the complete output, header included, exactly as it will be copied or
+// saved, so hand corrections only have to be made once. Switching the format or a header
+// field renders the text again; edits are kept until then.
+
+// The open preview, or null when it is closed
+let transcriptPreview = null;
+
+// Styles for the dialog; YouTube's theme variables keep it readable in light and dark mode
+const PREVIEW_STYLES = `
+  #transcript-preview {
+    position: fixed;
+    inset: 0;
+    z-index: 2400;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background-color: rgba(0, 0, 0, 0.6);
+    font-family: "Roboto", "Arial", sans-serif;
+    font-size: 14px;
+  }
+  #transcript-preview .preview-dialog {
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    width: min(900px, 92vw);
+    height: 85vh;
+    padding: 16px 20px;
+    border-radius: 12px;
+    background-color: var(--yt-spec-base-background, #fff);
+    color: var(--yt-spec-text-primary, #0f0f0f);
+    box-shadow: 0 4px 32px rgba(0, 0, 0, 0.4);
+    box-sizing: border-box;
+  }
+  #transcript-preview .preview-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    font-size: 16px;
+    font-weight: bold;
+  }
+  #transcript-preview .preview-options {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 6px 14px;
+    font-size: 13px;
+  }
+  #transcript-preview .preview-options label {
+    display: inline-flex;
+    align-items: center;
+    gap: 4px;
+    cursor: pointer;
+  }
+  #transcript-preview select {
+    padding: 4px;
+    border: 1px solid var(--yt-spec-10-percent-layer, #ccc);
+    border-radius: 4px;
+    background-color: var(--yt-spec-base-background, #fff);
+    color: inherit;
+    font-size: 13px;
+  }
+  #transcript-preview textarea {
+    flex: 1;
+    min-height: 0;
+    padding: 8px;
+    border: 1px solid var(--yt-spec-10-percent-layer, #ccc);
+    border-radius: 8px;
+    background-color: transparent;
+    color: inherit;
+    font-family: "Roboto Mono", monospace;
+    font-size: 13px;
+    line-height: 1.5;
+    resize: none;
+  }
+  #transcript-preview .preview-footer {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  }
+  #transcript-preview .preview-status {
+    flex: 1;
+    color: var(--yt-spec-text-secondary, #606060);
+    font-size: 12px;
+  }
+  #transcript-preview button {
+    padding: 6px 14px;
+    border: none;
+    border-radius: 16px;
+    background-color: var(--yt-spec-badge-chip-background, #f2f2f2);
+    color: inherit;
+    cursor: pointer;
+  }
+  #transcript-preview button.primary {
+    background-color: #cc0000;
+    color: white;
+  }
+`;
+
+// Output choices at the bottom of the dialog, with the _locales message naming each
+const PREVIEW_ACTIONS = [
+  { outputMode: 'clipboard', message: 'previewCopy' },
+  { outputMode: 'download', message: 'previewDownload' },
+  { outputMode: 'both', message: 'previewCopyAndDownload' }
+];
+
+// Show the preview of a transcript and resolve with the user's choice as
+// { content, format, outputMode, endpointId }, or with null when the dialog is closed or signal
+// aborts; endpointId is set instead of outputMode when the text goes to one of webhooks,
+// the "Send to…" endpoints
+function openTranscriptPreview(transcript, format, settings, webhooks, signal) {
+  closeTranscriptPreview(null);
+  addPreviewStyles();
+
+  return new Promise(resolve => {
+    const preview = {
+      transcript,
+      format,
+      settings: { ...settings },
+      savedHeaderFields: settings.headerFields,
+      webhooks,
+      edited: false,
+      resolve,
+      signal,
+      onAbort: () => closeTranscriptPreview(null),
+      onKeyDown: event => {
+        if (event.key === 'Escape') {
+          event.stopPropagation();
+          closeTranscriptPreview(null);
+        }
+      }
+    };
+    transcriptPreview = preview;
+    Object.assign(preview, createPreviewElement(preview));
+
+    document.body.appendChild(preview.element);
+    document.addEventListener('keydown', preview.onKeyDown, true);
+    if (signal) {
+      signal.addEventListener('abort', preview.onAbort, { once: true });
+    }
+    renderPreviewContent(preview);
+    preview.textarea.focus();
+    log('Transcript preview opened');
+  });
+}
+
+// Remove the dialog and settle its promise with choice
+function closeTranscriptPreview(choice) {
+  if (!transcriptPreview) return;
+
+  const preview = transcriptPreview;
+  transcriptPreview = null;
+  preview.element.remove();
+  document.removeEventListener('keydown', preview.onKeyDown, true);
+  if (preview.signal) {
+    preview.signal.removeEventListener('abort', preview.onAbort);
+  }
+  preview.resolve(choice);
+}
+
+// Add the dialog stylesheet once
+function addPreviewStyles() {
+  if (document.getElementById('transcript-preview-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'transcript-preview-style';
+  style.textContent = PREVIEW_STYLES;
+  document.head.appendChild(style);
+}
+
+// Build the dialog, returning { element, textarea, status, headerFields }
+function createPreviewElement(preview) {
+  const element = document.createElement('div');
+  element.id = 'transcript-preview';
+  // A click on the backdrop closes the dialog like the close button
+  element.addEventListener('click', event => {
+    if (event.target === element) {
+      closeTranscriptPreview(null);
+    }
+  });
+
+  const dialog = document.createElement('div');
+  dialog.className = 'preview-dialog';
+
+  const header = document.createElement('div');
+  header.className = 'preview-header';
+  const heading = document.createElement('span');
+  heading.textContent = chrome.i18n.getMessage('previewHeading');
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '✕';
+  closeButton.title = chrome.i18n.getMessage('previewClose');
+  closeButton.addEventListener('click', () => closeTranscriptPreview(null));
+  header.append(heading, closeButton);
+
+  const options = document.createElement('div');
+  options.className = 'preview-options';
+  const formatSelect = document.createElement('select');
+  for (const [value, info] of Object.entries(TRANSCRIPT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = chrome.i18n.getMessage(info.labelMessage);
+    formatSelect.appendChild(option);
+  }
+  formatSelect.value = preview.format;
+  formatSelect.addEventListener('change', () => {
+    if (!confirmDiscardEdits(preview)) {
+      formatSelect.value = preview.format;
+      return;
+    }
+    preview.format = formatSelect.value;
+    renderPreviewContent(preview);
+  });
+  options.appendChild(formatSelect);
+
+  const headerFields = document.createElement('span');
+  headerFields.className = 'preview-options';
+  for (const field of HEADER_FIELDS) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = preview.settings.headerFields.includes(field);
+    checkbox.addEventListener('change', () => {
+      if (!confirmDiscardEdits(preview)) {
+        checkbox.checked = !checkbox.checked;
+        return;
+      }
+      preview.settings.headerFields = HEADER_FIELDS.filter(headerField =>
+        headerField === field ? checkbox.checked : preview.settings.headerFields.includes(headerField)
+      );
+      renderPreviewContent(preview);
+    });
+    label.append(checkbox, getHeaderFieldLabel(field));
+    headerFields.appendChild(label);
+  }
+  options.appendChild(headerFields);
+
+  const textarea = document.createElement('textarea');
+  textarea.spellcheck = true;
+  textarea.addEventListener('input', () => {
+    preview.edited = true;
+    status.textContent = chrome.i18n.getMessage('previewEdited');
+  });
+  // Keep YouTube's keyboard shortcuts from firing while typing
+  textarea.addEventListener('keydown', event => {
+    if (event.key !== 'Escape') {
+      event.stopPropagation();
+    }
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'preview-footer';
+  const status = document.createElement('span');
+  status.className = 'preview-status';
+  footer.appendChild(status);
+  for (const action of PREVIEW_ACTIONS) {
+    const button = document.createElement('button');
+    button.textContent = chrome.i18n.getMessage(action.message);
+    // The usual output mode is the highlighted choice
+    if (action.outputMode === preview.settings.outputMode) {
+      button.className = 'primary';
+    }
+    button.addEventListener('click', () => choosePreviewAction(preview, action.outputMode));
+    footer.appendChild(button);
+  }
+  for (const endpoint of preview.webhooks) {
+    const button = document.createElement('button');
+    button.textContent = chrome.i18n.getMessage('previewSendTo', endpoint.name);
+    button.addEventListener('click', () => choosePreviewAction(preview, null, endpoint.id));
+    footer.appendChild(button);
+  }
+
+  dialog.append(header, options, textarea, footer);
+  element.appendChild(dialog);
+  return { element, textarea, status, headerFields };
+}
+
+// Label of a header field checkbox, from the _locales message for the field
+function getHeaderFieldLabel(field) {
+  return chrome.i18n.getMessage('headerField' + field[0].toUpperCase() + field.slice(1));
+}
+
+// Ask before re-rendering would throw away hand edits
+function confirmDiscardEdits(preview) {
+  return !preview.edited || confirm(chrome.i18n.getMessage('previewDiscardEdits'));
+}
+
+// Render the transcript into the text area in the chosen format and header fields
+function renderPreviewContent(preview) {
+  const { transcript, format, settings } = preview;
+  // Header fields only apply to formats that have the header or a title block
+  preview.headerFields.style.display = TRANSCRIPT_FORMATS[format].headerFields ? '' : 'none';
+  try {
+    const text = formatTranscript(transcript, format, getFormatOptions(settings));
+    preview.textarea.value = createTranscriptFileContent(text, transcript, format, settings);
+    preview.status.textContent = '';
+  } catch (error) {
+    log('Error rendering transcript preview: ' + error.message);
+    preview.textarea.value = '';
+    preview.status.textContent = error.message;
+  }
+  preview.edited = false;
+}
+
+// Close the dialog with the text as it stands and the chosen output mode or endpoint
+// The header fields picked here become the default for later transcripts
+function choosePreviewAction(preview, outputMode, endpointId = null) {
+  const content = preview.textarea.value;
+  if (!content.trim()) {
+    preview.status.textContent = chrome.i18n.getMessage('previewEmpty');
+    return;
+  }
+
+  if (preview.settings.headerFields.join() !== preview.savedHeaderFields.join()) {
+    saveSettings({ headerFields: preview.settings.headerFields }).catch(error => {
+      log('Error saving header fields: ' + error.message);
+    });
+  }
+  closeTranscriptPreview({ content, format: preview.format, outputMode, endpointId });
+}
@@ -0,0 +1,53 @@
+// Preferences shared by the content script and the options page, kept in chrome.storage.sync
+
+// Fields of the header above text transcripts, in the order they are written
+// stats and summary make up the analytics block (stats.js)
+const HEADER_FIELDS = ['title', 'url', 'channel', 'published', 'duration', 'views', 'language', 'clip', 'chapters', 'stats', 'summary'];
+
+// Header fields that are only written once turned on
+const OPTIONAL_HEADER_FIELDS = ['stats', 'summary'];
+
+// Defaults for every setting; stored values override these
+const DEFAULT_SETTINGS = {
+  defaultFormat: 'txt',
+  includeTimestamps: true,
+  outputMode: 'both',            // 'both', 'clipboard' or 'download'
+  filenameTemplate: '{title}',
+  headerFields: HEADER_FIELDS.filter(field => !OPTIONAL_HEADER_FIELDS.includes(field)),  // written above text transcripts
+  showPreview: true,             // open the preview-and-edit dialog from the download button
+  downloadFolder: '',            // folder inside Downloads, may use the filename tokens
+  saveAs: false,                 // ask where to save each file
+  conflictAction: 'uniquify',    // existing file: 'uniquify', 'overwrite' or 'prompt'
+  includeChapters: true,         // chapter headings and a chapter list in text output
+  splitChapters: false,          // save each chapter as its own file
+  readableParagraphSeconds: 45,  // readable mode: target paragraph length
+  readablePauseSeconds: 2,       // readable mode: silence that starts a new paragraph
+  readableRemoveOverlap: true,   // readable mode: drop text repeated by rolling ASR captions
+  removeSoundTags: false,        // clean-up: drop [Music], (APPLAUSE) and ♪
+  labelSpeakers: false,          // clean-up: turn >> and "- Name:" markers into labelled turns
+  removeFillerWords: false,      // clean-up: drop um, uh and the like from English text
+  normalizeAsrCase: false,       // clean-up: capitalise sentence starts, and "I" in English, in ASR text
+  preferredLanguages: []         // language codes, most preferred first
+};
+
+// Tokens available in the filename and download folder templates
+const FILENAME_TOKENS = ['title', 'channel', 'date', 'videoId', 'lang'];
+
+// Load all settings, filling in defaults for anything not stored yet
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+// Save some settings, leaving the others unchanged
+async function saveSettings(changes) {
+  await chrome.storage.sync.set(changes);
+}
+
+// Replace {token} placeholders in a filename template, leaving unknown tokens as-is
+function applyFilenameTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, token) => {
+    if (!FILENAME_TOKENS.includes(token)) return match;
+    return values[token] || '';
+  });
+}
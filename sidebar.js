@@ -0,0 +1,407 @@
+// In-page transcript sidebar with search and click-to-seek
+//
+// The sidebar is owned by the extension and filled through fetchPageTranscript with the panel
+// methods turned off, so it never depends on scraping YouTube's own transcript panel.
+
+// Time after the user scrolls the list before it follows playback again
+const SIDEBAR_SCROLL_PAUSE = 4000;
+
+// The open sidebar, or null when it is closed
+let transcriptSidebar = null;
+
+// Styles for the sidebar; YouTube's theme variables keep it readable in light and dark mode
+const SIDEBAR_STYLES = `
+  #transcript-sidebar {
+    display: flex;
+    flex-direction: column;
+    height: 70vh;
+    margin-bottom: 16px;
+    border: 1px solid var(--yt-spec-10-percent-layer, #ddd);
+    border-radius: 12px;
+    background-color: var(--yt-spec-base-background, #fff);
+    color: var(--yt-spec-text-primary, #0f0f0f);
+    font-family: "Roboto", "Arial", sans-serif;
+    font-size: 14px;
+    overflow: hidden;
+  }
+  #transcript-sidebar.floating {
+    position: fixed;
+    top: 72px;
+    right: 16px;
+    width: 380px;
+    z-index: 2200;
+    box-shadow: 0 4px 32px rgba(0, 0, 0, 0.3);
+  }
+  #transcript-sidebar .sidebar-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 12px 16px 8px;
+    font-size: 16px;
+    font-weight: bold;
+  }
+  #transcript-sidebar .sidebar-search {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    padding: 0 16px 8px;
+    border-bottom: 1px solid var(--yt-spec-10-percent-layer, #ddd);
+  }
+  #transcript-sidebar input {
+    flex: 1;
+    min-width: 0;
+    padding: 6px 8px;
+    border: 1px solid var(--yt-spec-10-percent-layer, #ccc);
+    border-radius: 16px;
+    background-color: transparent;
+    color: inherit;
+    font-size: 13px;
+  }
+  #transcript-sidebar button {
+    padding: 4px 8px;
+    border: none;
+    border-radius: 12px;
+    background-color: var(--yt-spec-badge-chip-background, #f2f2f2);
+    color: inherit;
+    cursor: pointer;
+  }
+  #transcript-sidebar .sidebar-count {
+    min-width: 48px;
+    text-align: center;
+    color: var(--yt-spec-text-secondary, #606060);
+    font-size: 12px;
+  }
+  #transcript-sidebar .sidebar-status {
+    padding: 16px;
+    color: var(--yt-spec-text-secondary, #606060);
+  }
+  #transcript-sidebar .sidebar-lines {
+    flex: 1;
+    overflow-y: auto;
+    padding: 4px 0;
+  }
+  #transcript-sidebar .sidebar-line {
+    display: flex;
+    gap: 12px;
+    padding: 6px 16px;
+    cursor: pointer;
+  }
+  #transcript-sidebar .sidebar-line:hover {
+    background-color: var(--yt-spec-10-percent-layer, #f2f2f2);
+  }
+  #transcript-sidebar .sidebar-line.active {
+    background-color: var(--yt-spec-badge-chip-background, #e5e5e5);
+  }
+  #transcript-sidebar .sidebar-time {
+    flex-shrink: 0;
+    color: var(--yt-spec-call-to-action, #065fd4);
+    font-variant-numeric: tabular-nums;
+  }
+  #transcript-sidebar .sidebar-translation {
+    display: block;
+    color: var(--yt-spec-text-secondary, #606060);
+  }
+  #transcript-sidebar mark {
+    background-color: #ffe066;
+    color: #0f0f0f;
+  }
+  #transcript-sidebar mark.current {
+    background-color: #ff9f1a;
+  }
+`;
+
+// Open the sidebar for the current video and load its transcript into it
+async function openTranscriptSidebar(options = {}) {
+  const videoId = getVideoId();
+  if (!videoId) return;
+
+  closeTranscriptSidebar();
+  addSidebarStyles();
+
+  const sidebar = createSidebarElement();
+  transcriptSidebar = {
+    videoId,
+    element: sidebar.element,
+    lines: [],
+    segments: [],
+    hits: [],
+    currentHit: -1,
+    activeIndex: -1,
+    lastUserScroll: 0,
+    video: null,
+    onTimeUpdate: null
+  };
+
+  // Sit at the top of the right-hand column, or float when the layout has none
+  const secondary = document.querySelector('#secondary-inner, #secondary');
+  if (secondary && secondary.offsetParent !== null) {
+    secondary.insertBefore(sidebar.element, secondary.firstChild);
+  } else {
+    sidebar.element.classList.add('floating');
+    document.body.appendChild(sidebar.element);
+  }
+
+  try {
+    const transcript = await fetchPageTranscript(videoId, { ...options, usePanel: false });
+    // The sidebar may have been closed or replaced while loading
+    if (!transcriptSidebar || transcriptSidebar.element !== sidebar.element) return;
+    renderSidebarLines(transcript);
+  } catch (error) {
+    log('Error loading transcript sidebar: ' + error.message);
+    if (transcriptSidebar && transcriptSidebar.element === sidebar.element) {
+      sidebar.status.textContent = chrome.i18n.getMessage('sidebarFailed', describeTranscriptError(error));
+    }
+  }
+}
+
+// Remove the sidebar and stop following playback
+function closeTranscriptSidebar() {
+  if (!transcriptSidebar) return;
+
+  if (transcriptSidebar.video && transcriptSidebar.onTimeUpdate) {
+    transcriptSidebar.video.removeEventListener('timeupdate', transcriptSidebar.onTimeUpdate);
+  }
+  transcriptSidebar.element.remove();
+  transcriptSidebar = null;
+  log('Transcript sidebar closed');
+}
+
+// Close the sidebar when it belongs to a different video than the one on screen
+function closeStaleTranscriptSidebar() {
+  if (transcriptSidebar && transcriptSidebar.videoId !== getVideoId()) {
+    closeTranscriptSidebar();
+  }
+}
+
+// Add the sidebar stylesheet once
+function addSidebarStyles() {
+  if (document.getElementById('transcript-sidebar-style')) return;
+
+  const style = document.createElement('style');
+  style.id = 'transcript-sidebar-style';
+  style.textContent = SIDEBAR_STYLES;
+  document.head.appendChild(style);
+}
+
+// Build the empty sidebar with its header and search bar
+function createSidebarElement() {
+  const element = document.createElement('div');
+  element.id = 'transcript-sidebar';
+
+  const header = document.createElement('div');
+  header.className = 'sidebar-header';
+  const heading = document.createElement('span');
+  heading.textContent = chrome.i18n.getMessage('sidebarHeading');
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '✕';
+  closeButton.title = chrome.i18n.getMessage('sidebarClose');
+  closeButton.addEventListener('click', closeTranscriptSidebar);
+  header.append(heading, closeButton);
+
+  const search = document.createElement('div');
+  search.className = 'sidebar-search';
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = chrome.i18n.getMessage('sidebarSearch');
+  const count = document.createElement('span');
+  count.className = 'sidebar-count';
+  const prevButton = document.createElement('button');
+  prevButton.textContent = '▲';
+  prevButton.title = chrome.i18n.getMessage('sidebarPreviousMatch');
+  const nextButton = document.createElement('button');
+  nextButton.textContent = '▼';
+  nextButton.title = chrome.i18n.getMessage('sidebarNextMatch');
+  search.append(searchInput, count, prevButton, nextButton);
+
+  searchInput.addEventListener('input', () => {
+    searchSidebar(searchInput.value, count);
+  });
+  searchInput.addEventListener('keydown', event => {
+    // Keep YouTube's keyboard shortcuts from firing while typing
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      moveToHit(event.shiftKey ? -1 : 1, count);
+    }
+  });
+  prevButton.addEventListener('click', () => moveToHit(-1, count));
+  nextButton.addEventListener('click', () => moveToHit(1, count));
+
+  const status = document.createElement('div');
+  status.className = 'sidebar-status';
+  status.textContent = chrome.i18n.getMessage('sidebarLoading');
+
+  const list = document.createElement('div');
+  list.className = 'sidebar-lines';
+  list.addEventListener('wheel', () => {
+    transcriptSidebar.lastUserScroll = Date.now();
+  }, { passive: true });
+  list.addEventListener('touchmove', () => {
+    transcriptSidebar.lastUserScroll = Date.now();
+  }, { passive: true });
+
+  element.append(header, search, status, list);
+  return { element, status, list };
+}
+
+// Fill the sidebar with one clickable line per segment and start following playback
+function renderSidebarLines(transcript) {
+  const { element } = transcriptSidebar;
+  const list = element.querySelector('.sidebar-lines');
+  element.querySelector('.sidebar-status').remove();
+
+  transcriptSidebar.segments = transcript.segments;
+  transcriptSidebar.lines = transcript.segments.map(segment => {
+    const line = document.createElement('div');
+    line.className = 'sidebar-line';
+
+    const time = document.createElement('span');
+    time.className = 'sidebar-time';
+    time.textContent = formatTimestamp(segment.start);
+
+    const text = document.createElement('span');
+    text.className = 'sidebar-text';
+    text.textContent = segment.text;
+    if (segment.translatedText) {
+      const translation = document.createElement('span');
+      translation.className = 'sidebar-translation';
+      translation.textContent = segment.translatedText;
+      text.appendChild(translation);
+    }
+
+    line.append(time, text);
+    line.addEventListener('click', () => seekVideo(segment.start));
+    list.appendChild(line);
+    return line;
+  });
+
+  const video = document.querySelector('video');
+  if (video) {
+    transcriptSidebar.video = video;
+    transcriptSidebar.onTimeUpdate = () => highlightCurrentLine(video.currentTime);
+    video.addEventListener('timeupdate', transcriptSidebar.onTimeUpdate);
+    highlightCurrentLine(video.currentTime);
+  }
+
+  log(`Transcript sidebar showing ${transcript.segments.length} lines`);
+}
+
+// Jump the player to a time in seconds
+function seekVideo(seconds) {
+  const video = document.querySelector('video');
+  if (video) {
+    video.currentTime = seconds;
+  }
+}
+
+// Highlight the line being spoken and keep it in view
+function highlightCurrentLine(currentTime) {
+  const { segments, lines } = transcriptSidebar;
+
+  // Binary search for the last segment that has started
+  let low = 0;
+  let high = segments.length - 1;
+  let index = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (segments[middle].start <= currentTime) {
+      index = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  if (index === transcriptSidebar.activeIndex) return;
+
+  if (transcriptSidebar.activeIndex !== -1) {
+    lines[transcriptSidebar.activeIndex].classList.remove('active');
+  }
+  transcriptSidebar.activeIndex = index;
+  if (index === -1) return;
+
+  lines[index].classList.add('active');
+
+  // Don't fight the user while they scroll or step through search results
+  const userIsBrowsing = Date.now() - transcriptSidebar.lastUserScroll < SIDEBAR_SCROLL_PAUSE ||
+    transcriptSidebar.hits.length > 0;
+  if (!userIsBrowsing) {
+    scrollLineIntoView(lines[index]);
+  }
+}
+
+// Scroll the list so a line sits in its middle, without scrolling the page
+function scrollLineIntoView(line) {
+  const list = line.parentElement;
+  list.scrollTop = line.offsetTop - list.offsetTop - (list.clientHeight - line.clientHeight) / 2;
+}
+
+// Highlight every match of the query and jump to the first one
+function searchSidebar(query, count) {
+  const { segments, lines } = transcriptSidebar;
+  const needle = query.trim().toLowerCase();
+  transcriptSidebar.hits = [];
+  transcriptSidebar.currentHit = -1;
+
+  segments.forEach((segment, i) => {
+    const textElement = lines[i].querySelector('.sidebar-text');
+    textElement.textContent = '';
+    textElement.appendChild(highlightMatches(segment.text, needle, transcriptSidebar.hits));
+
+    if (segment.translatedText) {
+      const translation = document.createElement('span');
+      translation.className = 'sidebar-translation';
+      translation.appendChild(highlightMatches(segment.translatedText, needle, transcriptSidebar.hits));
+      textElement.appendChild(translation);
+    }
+  });
+
+  if (!needle) {
+    count.textContent = '';
+    return;
+  }
+
+  moveToHit(1, count);
+}
+
+// Build text with each match wrapped in <mark>, collecting the marks into hits
+function highlightMatches(text, needle, hits) {
+  const fragment = document.createDocumentFragment();
+  if (!needle) {
+    fragment.appendChild(document.createTextNode(text));
+    return fragment;
+  }
+
+  const haystack = text.toLowerCase();
+  let position = 0;
+  let matchIndex = haystack.indexOf(needle);
+  while (matchIndex !== -1) {
+    fragment.appendChild(document.createTextNode(text.slice(position, matchIndex)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(matchIndex, matchIndex + needle.length);
+    fragment.appendChild(mark);
+    hits.push(mark);
+    position = matchIndex + needle.length;
+    matchIndex = haystack.indexOf(needle, position);
+  }
+  fragment.appendChild(document.createTextNode(text.slice(position)));
+  return fragment;
+}
+
+// Step to the next (1) or previous (-1) search match
+function moveToHit(step, count) {
+  const { hits } = transcriptSidebar;
+  if (hits.length === 0) {
+    count.textContent = transcriptSidebar.segments.length > 0 ? '0/0' : '';
+    return;
+  }
+
+  if (transcriptSidebar.currentHit !== -1) {
+    hits[transcriptSidebar.currentHit].classList.remove('current');
+  }
+  transcriptSidebar.currentHit = (transcriptSidebar.currentHit + step + hits.length) % hits.length;
+
+  const hit = hits[transcriptSidebar.currentHit];
+  hit.classList.add('current');
+  scrollLineIntoView(hit.closest('.sidebar-line'));
+  count.textContent = `${transcriptSidebar.currentHit + 1}/${hits.length}`;
+}
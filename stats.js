@@ -0,0 +1,222 @@
+// Transcript statistics, keywords and summary for the header's analytics block
+//
+// Everything is computed from the transcript alone, with no outside service:
+//   word count, speaking rate and reading time
+//   the longest silences between captions
+//   keywords and key phrases scored by TF-IDF, with the transcript cut into one-minute
+//   chunks as the "documents", so words used all through the video score lower than
+//   words that stand out in parts of it
+//   an extractive summary: the sentences with the highest keyword scores
+// STOPWORDS is English; in other languages the IDF part still pushes common words down.
+
+// Words never used as keywords: English function words and ASR fillers
+const STOPWORDS = new Set(`
+  a about above after again against all almost also although always am an and another any anyone
+  anything are aren around as at back be became because been before being below between both
+  but by can cannot could couldn did didn do does doesn doing don done down during each either
+  else enough even ever every everyone everything few first for from further get gets getting
+  go goes going gone got gotta had hadn has hasn have haven having he her here hers herself him
+  himself his how however i if in into is isn it its itself just kind know last let like ll
+  lot lots made make makes many may maybe me might mine more most much must my myself need
+  never next no nor not nothing now of off oh ok okay on once one only or other others our ours
+  ourselves out over own put re really right said same say says see seem shall she should
+  shouldn since so some someone something still such sure take than thank thanks that the their
+  theirs them themselves then there these they thing things think this those though through to
+  too two under until up upon us use used ve very want wanna was wasn way we well were weren what
+  whatever when where whether which while who whom whose why will with within without won would
+  wouldn yeah yes yet you your yours yourself yourselves
+  um umm uh uhh uhm erm hmm mm
+`.trim().split(/\s+/));
+
+// Average silent reading speed, in words per minute
+const READING_WORDS_PER_MINUTE = 238;
+
+// Length of the chunks that serve as TF-IDF documents
+const STATS_CHUNK_SECONDS = 60;
+
+// Gaps shorter than this between captions are not counted as silences
+const MIN_SILENCE_SECONDS = 3;
+
+// How many of each result the block lists
+const LONGEST_SILENCES = 3;
+const TOP_KEYWORDS = 10;
+const TOP_KEY_PHRASES = 5;
+const SUMMARY_SENTENCES = 5;
+
+// Summary sentences shorter than this many words say too little on their own; longer ones
+// (mostly unpunctuated ASR paragraphs) are cut short
+const MIN_SUMMARY_WORDS = 6;
+const MAX_SUMMARY_WORDS = 60;
+
+// Analyse a transcript, returning
+// { wordCount, wordsPerMinute, readingMinutes, silences: [{ start, duration }],
+//   keywords: [term], keyPhrases: [phrase], summary: [{ start, text }] }
+// wordsPerMinute is null when the segments have no usable timing; summary is only filled
+// in when options.summary is set, and options are passed on to buildParagraphs for it
+function analyzeTranscript(transcript, options = {}) {
+  const segments = transcript.segments.map(segment => ({ ...segment, text: getSpokenText(segment) }));
+  const wordCount = segments.reduce((count, segment) => count + countWords(segment.text), 0);
+
+  const first = segments[0];
+  const speechSeconds = first
+    ? segments.reduce((end, segment) => Math.max(end, segment.start + segment.duration), 0) - first.start
+    : 0;
+
+  const termScores = scoreTerms(segments);
+  const stats = {
+    wordCount,
+    wordsPerMinute: speechSeconds >= 1 ? Math.round(wordCount / (speechSeconds / 60)) : null,
+    readingMinutes: Math.max(1, Math.round(wordCount / READING_WORDS_PER_MINUTE)),
+    silences: findLongestSilences(segments),
+    keywords: pickTopTerms(termScores, term => !term.includes(' '), TOP_KEYWORDS),
+    keyPhrases: pickKeyPhrases(termScores),
+    summary: []
+  };
+
+  if (options.summary) {
+    stats.summary = summarizeTranscript(segments, termScores, options);
+  }
+  return stats;
+}
+
+// Text of a segment without the speaker label clean-up puts in front of it
+function getSpokenText(segment) {
+  const label = segment.speaker ? `${segment.speaker}: ` : '';
+  return label && segment.text.startsWith(label) ? segment.text.slice(label.length) : segment.text;
+}
+
+// Count the words of a text
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || []).length;
+}
+
+// Gaps between the end of speech and the next caption, longest first
+// Rolling ASR captions overlap, so speech lasts until the latest end seen so far
+function findLongestSilences(segments) {
+  const silences = [];
+  let speechEnd = null;
+
+  for (const segment of segments) {
+    if (speechEnd !== null && segment.start - speechEnd >= MIN_SILENCE_SECONDS) {
+      silences.push({ start: speechEnd, duration: segment.start - speechEnd });
+    }
+    speechEnd = Math.max(speechEnd === null ? 0 : speechEnd, segment.start + segment.duration);
+  }
+
+  return silences.sort((a, b) => b.duration - a.duration).slice(0, LONGEST_SILENCES);
+}
+
+// Split text into runs of candidate terms, lower-cased
+// A run ends at punctuation and at stopwords, so phrases never span them
+function splitTermRuns(text) {
+  const runs = [];
+  for (const clause of text.toLowerCase().split(/[.,!?;:()[\]"“”…–—]+/)) {
+    let run = [];
+    for (const match of clause.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)) {
+      const word = match[0].replace(/['’]s$/, '');
+      if (STOPWORDS.has(word) || word.length < 3 || /^\p{N}+$/u.test(word)) {
+        if (run.length > 0) runs.push(run);
+        run = [];
+      } else {
+        run.push(word);
+      }
+    }
+    if (run.length > 0) runs.push(run);
+  }
+  return runs;
+}
+
+// Score words and two- and three-word phrases by TF-IDF over one-minute chunks
+// Returns a Map of term to { count, score }; phrases are only kept when said twice or more
+function scoreTerms(segments) {
+  const chunks = [];
+  for (const segment of segments) {
+    const index = Math.floor((segment.start - segments[0].start) / STATS_CHUNK_SECONDS);
+    chunks[index] = (chunks[index] || '') + ' ' + segment.text;
+  }
+
+  const counts = new Map();
+  const chunkCounts = new Map();
+  let chunkTotal = 0;
+  for (const chunk of chunks) {
+    if (!chunk) continue;
+    chunkTotal++;
+    const seen = new Set();
+    for (const run of splitTermRuns(chunk)) {
+      for (let length = 1; length <= 3; length++) {
+        for (let i = 0; i + length <= run.length; i++) {
+          const term = run.slice(i, i + length).join(' ');
+          counts.set(term, (counts.get(term) || 0) + 1);
+          seen.add(term);
+        }
+      }
+    }
+    for (const term of seen) {
+      chunkCounts.set(term, (chunkCounts.get(term) || 0) + 1);
+    }
+  }
+
+  const scores = new Map();
+  for (const [term, count] of counts) {
+    if (term.includes(' ') && count < 2) continue;
+    // Smoothed IDF, so a term in every chunk still keeps its term frequency
+    const idf = Math.log((1 + chunkTotal) / (1 + chunkCounts.get(term))) + 1;
+    scores.set(term, { count, score: count * idf });
+  }
+  return scores;
+}
+
+// The best-scoring terms that match a filter
+function pickTopTerms(termScores, filter, limit) {
+  return [...termScores.entries()]
+    .filter(([term]) => filter(term))
+    .sort((a, b) => b[1].score - a[1].score || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+// The best-scoring phrases, skipping ones that overlap a phrase already picked
+function pickKeyPhrases(termScores) {
+  const phrases = [];
+  for (const phrase of pickTopTerms(termScores, term => term.includes(' '), Infinity)) {
+    if (phrases.some(picked => picked.includes(phrase) || phrase.includes(picked))) continue;
+    phrases.push(phrase);
+    if (phrases.length === TOP_KEY_PHRASES) break;
+  }
+  return phrases;
+}
+
+// Pick the sentences whose words score highest, in the order they were said
+// A sentence scores the sum of its word scores over the square root of its length, so long
+// sentences are not preferred just for their length; ASR text without punctuation is cut
+// into the paragraphs of buildParagraphs instead
+function summarizeTranscript(segments, termScores, options) {
+  const sentences = [];
+  // A sentence said again (a recap, a chorus) is only considered once
+  const seen = new Set();
+  for (const paragraph of buildParagraphs(segments, options)) {
+    for (const text of paragraph.text.split(/(?<=[.!?…])\s+/)) {
+      const wordCount = countWords(text);
+      if (wordCount < MIN_SUMMARY_WORDS || seen.has(text.toLowerCase())) continue;
+      seen.add(text.toLowerCase());
+
+      let score = 0;
+      for (const run of splitTermRuns(text)) {
+        for (const word of run) {
+          score += termScores.has(word) ? termScores.get(word).score : 0;
+        }
+      }
+      sentences.push({ start: paragraph.start, text, score: score / Math.sqrt(wordCount) });
+    }
+  }
+
+  return sentences
+    .map((sentence, index) => ({ ...sentence, index }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SUMMARY_SENTENCES)
+    .sort((a, b) => a.index - b.index)
+    .map(({ start, text }) => {
+      const words = text.split(/\s+/);
+      return { start, text: words.length > MAX_SUMMARY_WORDS ? words.slice(0, MAX_SUMMARY_WORDS).join(' ') + ' …' : text };
+    });
+}
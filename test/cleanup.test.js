@@ -0,0 +1,96 @@
+// Tests for caption clean-up (cleanup.js) and the formats it applies to (formats.js)
+// Run with: node --test test/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+// The scripts are plain globals, loaded into one context in the order the pages load them
+function loadScripts(...files) {
+  const context = vm.createContext({ URL });
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+const context = loadScripts('settings.js', 'cleanup.js', 'stats.js', 'formats.js');
+const { cleanTranscript, formatTranscript, getFormatOptions } = context;
+// Top-level constants are not properties of the context
+const DEFAULT_SETTINGS = vm.runInContext('DEFAULT_SETTINGS', context);
+
+// A short auto-generated transcript with the markup clean-up acts on
+function createTranscript(language = 'en') {
+  return {
+    videoId: 'dQw4w9WgXcQ',
+    title: 'Test',
+    url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    language,
+    isAutoGenerated: true,
+    chapters: [],
+    segments: [
+      { start: 0, duration: 2, text: '[Music] so i think', words: [{ offset: 0, text: '[Music]' }, { offset: 1, text: 'so' }] },
+      { start: 2, duration: 2, text: '>> JANE: um it works' }
+    ]
+  };
+}
+
+const ALL_CLEANUP = { removeSoundTags: true, labelSpeakers: true, removeFillerWords: true, normalizeCase: true };
+
+test('clean-up is off by default', () => {
+  const cleaned = cleanTranscript(createTranscript());
+  assert.deepEqual(Array.from(cleaned.segments, segment => segment.text), ['[Music] so i think', '>> JANE: um it works']);
+
+  assert.equal(DEFAULT_SETTINGS.removeSoundTags, false);
+  assert.equal(DEFAULT_SETTINGS.labelSpeakers, false);
+  assert.equal(DEFAULT_SETTINGS.removeFillerWords, false);
+  assert.equal(DEFAULT_SETTINGS.normalizeAsrCase, false);
+});
+
+test('reading formats are cleaned', () => {
+  const text = formatTranscript(createTranscript(), 'txt', { includeTimestamps: false, cleanup: ALL_CLEANUP });
+  assert.equal(text, 'So I think\nJane: It works');
+});
+
+test('subtitle and data formats keep the captions as they are', () => {
+  const options = { ...getFormatOptions({ ...DEFAULT_SETTINGS, removeSoundTags: true }), cleanup: ALL_CLEANUP };
+  for (const format of ['srt', 'vtt', 'json', 'words-json', 'words-tsv']) {
+    const output = formatTranscript(createTranscript(), format, options);
+    assert.match(output, /\[Music\]/, format);
+  }
+  assert.match(formatTranscript(createTranscript(), 'srt', options), />> JANE: um it works/);
+});
+
+test('"I" and filler words are only fixed in English', () => {
+  const segments = [{ start: 0, duration: 2, text: 'i ragazzi um sono qui' }];
+  const options = { removeFillerWords: true, normalizeCase: true };
+
+  const italian = cleanTranscript({ ...createTranscript('it'), segments }, options);
+  assert.equal(italian.segments[0].text, 'I ragazzi um sono qui');
+  const catalan = cleanTranscript({ ...createTranscript('ca'), segments: [{ start: 0, duration: 2, text: 'ell i jo. i tu' }] }, options);
+  assert.equal(catalan.segments[0].text, 'Ell i jo. I tu');
+
+  const englishSegments = [{ start: 0, duration: 2, text: 'so um i think i’m right' }];
+  const english = cleanTranscript({ ...createTranscript('en-GB'), segments: englishSegments }, options);
+  assert.equal(english.segments[0].text, 'So I think I’m right');
+});
+
+test('a translation is cleaned in its own language', () => {
+  const transcript = {
+    ...createTranscript('it'),
+    translation: { language: 'en', languageName: 'English', bilingual: true },
+    segments: [{ start: 0, duration: 2, text: 'um sono qui', translatedText: 'um i am here' }]
+  };
+  const cleaned = cleanTranscript(transcript, { removeFillerWords: true });
+  assert.equal(cleaned.segments[0].text, 'um sono qui');
+  assert.equal(cleaned.segments[0].translatedText, 'i am here');
+
+  const translated = cleanTranscript({
+    ...transcript,
+    translation: { ...transcript.translation, bilingual: false },
+    segments: [{ start: 0, duration: 2, text: 'um i am here' }]
+  }, { removeFillerWords: true, normalizeCase: true });
+  assert.equal(translated.segments[0].text, 'I am here');
+});
@@ -0,0 +1,38 @@
+// Tests for clip and "from now" transcripts (formats.js)
+// Run with: node --test test/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+// formats.js and the scripts it uses are plain globals, loaded into a context of their own
+function loadFormats() {
+  const context = vm.createContext({ URL });
+  for (const file of ['settings.js', 'cleanup.js', 'stats.js', 'formats.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+const { createClipTranscript, getTranscriptFrom } = loadFormats();
+
+// One ten-second segment per line, from 0 to 100 seconds
+const TRANSCRIPT = {
+  videoId: 'dQw4w9WgXcQ',
+  chapters: [],
+  segments: Array.from({ length: 10 }, (_, i) => ({ start: i * 10, duration: 10, text: `line ${i}` }))
+};
+
+test('"from now" keeps what follows the playback position', () => {
+  const transcript = getTranscriptFrom(TRANSCRIPT, 75);
+  assert.deepEqual(Array.from(transcript.segments, segment => segment.text), ['line 7', 'line 8', 'line 9']);
+});
+
+test('"from now" in a clip counts the playback position in video time', () => {
+  const kept = clip => Array.from(getTranscriptFrom(clip, 45).segments, segment => segment.text);
+
+  assert.deepEqual(kept(createClipTranscript(TRANSCRIPT, 30, 60)), ['line 4', 'line 5']);
+  assert.deepEqual(kept(createClipTranscript(TRANSCRIPT, 30, 60, { rebase: true })), ['line 4', 'line 5']);
+});
@@ -0,0 +1,32 @@
+// Tests for the caption language description in file headers (formats.js)
+// Run with: node --test test/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+// formats.js and the scripts it uses are plain globals, loaded into a context of their own
+function loadFormats() {
+  const context = vm.createContext({ URL });
+  for (const file of ['settings.js', 'cleanup.js', 'stats.js', 'formats.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+const { describeLanguage } = loadFormats();
+
+test('auto-generated tracks are labelled once whatever YouTube\'s interface language', () => {
+  const transcript = { language: 'en', languageName: 'Englisch (automatisch erzeugt)', isAutoGenerated: true, translation: null };
+  assert.equal(describeLanguage(transcript), 'English [en] (auto-generated)');
+
+  transcript.languageName = 'English (auto-generated)';
+  assert.equal(describeLanguage(transcript), 'English [en] (auto-generated)');
+});
+
+test('uploaded tracks keep their own name', () => {
+  const transcript = { language: 'es', languageName: 'Spanish (Spain)', isAutoGenerated: false, translation: null };
+  assert.equal(describeLanguage(transcript), 'Spanish (Spain) [es]');
+});
@@ -0,0 +1,92 @@
+// Tests for transcript actions started away from a watch page (content.js)
+// Run with: node --test test/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// A stored transcript, so the action needs no network
+const TRANSCRIPT = {
+  videoId: 'dQw4w9WgXcQ',
+  title: 'Test video',
+  channel: 'Channel',
+  url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+  source: 'api',
+  language: 'en',
+  languageName: 'English',
+  isAutoGenerated: false,
+  translation: null,
+  metadata: {},
+  chapters: [],
+  segments: [{ start: 0, duration: 2, text: 'Hello' }, { start: 2, duration: 2, text: 'world' }]
+};
+
+// Load the content scripts into a search results page with the given stored settings
+// Resolves with the message listener the scripts register and the messages they send
+async function loadContentScripts(storedSettings) {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'https://www.youtube.com/results?search_query=test',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  const sent = [];
+  let listener = null;
+  window.console.log = () => {};
+  window.chrome = {
+    runtime: {
+      sendMessage: async message => {
+        sent.push(message);
+        if (message.type === 'library-find') return { ok: true, data: TRANSCRIPT };
+        if (message.type === 'download') return { ok: true, data: { state: 'complete', filename: message.filename, error: null } };
+        return { ok: true, data: null };
+      },
+      onMessage: { addListener: callback => { listener = callback; } },
+      getURL: file => file
+    },
+    storage: {
+      sync: { get: async defaults => ({ ...defaults, ...storedSettings }), set: async () => {} },
+      onChanged: { addListener() {} }
+    },
+    i18n: { getMessage: name => name }
+  };
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const context = dom.getInternalVMContext();
+  for (const file of manifest.content_scripts[0].js) {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  }
+  // The scripts start once the page has loaded
+  while (!listener) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return { window, sent, listener };
+}
+
+// Wait until a message of a type has been sent
+async function waitForMessage(sent, type) {
+  for (let i = 0; i < 100; i++) {
+    const message = sent.find(candidate => candidate.type === type);
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`No ${type} message was sent`);
+}
+
+test('link actions use the default format setting', async () => {
+  const { window, sent, listener } = await loadContentScripts({ defaultFormat: 'srt', outputMode: 'download', showPreview: false });
+  assert.equal(window.document.getElementById('transcript-format-select'), null);
+
+  listener({ type: 'transcript-link', url: TRANSCRIPT.url, outputMode: 'download' });
+  const download = await waitForMessage(sent, 'download');
+
+  assert.match(download.filename, /\.srt$/);
+  assert.equal(download.mimeType, 'application/x-subrip');
+  assert.match(download.content, /^1\n00:00:00,000 --> 00:00:02,000\nHello/);
+  window.close();
+});
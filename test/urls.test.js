@@ -0,0 +1,49 @@
+// Fixture tests for parseVideoId and getPageLayout (urls.js)
+// Run with: node --test test/
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const fixtures = require('./fixtures/video-urls.json');
+
+// urls.js is a plain content script, so it is loaded into a context of its own
+function loadUrls() {
+  const context = vm.createContext({ URL });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'urls.js'), 'utf8'), context);
+  return context;
+}
+
+const { parseVideoId, getPageLayout } = loadUrls();
+
+test('parseVideoId reads the ID from every video URL form', () => {
+  for (const { url, videoId } of fixtures.videos) {
+    assert.equal(parseVideoId(url), videoId, url);
+  }
+});
+
+test('parseVideoId resolves relative links against the base URL', () => {
+  for (const { url, base, videoId } of fixtures.relative) {
+    assert.equal(parseVideoId(url, base), videoId, `${url} on ${base}`);
+  }
+});
+
+test('parseVideoId rejects pages without a single video and malformed IDs', () => {
+  for (const url of fixtures.rejected) {
+    assert.equal(parseVideoId(url), null, url);
+  }
+});
+
+test('getPageLayout picks the layout for every video URL form', () => {
+  for (const { url, layout } of fixtures.videos) {
+    assert.equal(getPageLayout(url), layout, url);
+  }
+});
+
+test('getPageLayout returns null for pages without a single video', () => {
+  for (const url of fixtures.rejected) {
+    assert.equal(getPageLayout(url), null, url);
+  }
+});
@@ -0,0 +1,154 @@
+// Parsers for YouTube's timedtext caption formats
+//
+// srv1:  <transcript><text start="1.2" dur="3.4">...</text></transcript>       (seconds)
+// srv3:  <timedtext format="3"><body><p t="1200" d="3400"><s t="0">...</s></p>  (milliseconds,
+//        <s> word spans carry offsets from the start of their <p>)
+// json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8, tOffsetMs }] }] }
+//
+// All of them produce segments of { start, duration, text } in seconds. Where the
+// track has word-level timing, segments also get words: [{ offset, text }] with the
+// offset in seconds from the segment start.
+
+// Parse a timedtext response body in any supported format
+function parseTimedText(body) {
+  const trimmed = body.trim();
+  if (!trimmed) {
+    throw new Error('Empty transcript response from server');
+  }
+
+  let segments;
+  if (trimmed.startsWith('{')) {
+    segments = parseJson3(trimmed);
+  } else {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(trimmed, 'text/xml');
+
+    // Check for XML parsing errors
+    const parserError = xmlDoc.querySelector('parsererror');
+    if (parserError) {
+      throw new Error('XML parsing error: ' + parserError.textContent);
+    }
+
+    const root = xmlDoc.documentElement;
+    if (root.nodeName === 'timedtext' && root.getAttribute('format') === '3') {
+      segments = parseSrv3(xmlDoc);
+    } else {
+      segments = parseSrv1(xmlDoc);
+    }
+  }
+
+  if (segments.length === 0) {
+    throw new Error('No transcript text found in timedtext response');
+  }
+
+  log(`Parsed ${segments.length} segments from timedtext response`);
+  return fillMissingDurations(segments);
+}
+
+// srv1: <text start="" dur=""> elements timed in seconds
+function parseSrv1(xmlDoc) {
+  const textElements = xmlDoc.getElementsByTagName('text');
+  const segments = [];
+
+  for (let element of textElements) {
+    const text = normalizeCaptionText(decodeCaptionEntities(element.textContent || ''));
+    if (!text) continue;
+
+    const start = parseFloat(element.getAttribute('start')) || 0;
+    const duration = parseFloat(element.getAttribute('dur'));
+    segments.push({ start, duration: isNaN(duration) ? null : duration, text });
+  }
+
+  return segments;
+}
+
+// srv3: <p t="" d=""> paragraphs timed in milliseconds, optionally split into <s> words
+function parseSrv3(xmlDoc) {
+  const paragraphs = xmlDoc.getElementsByTagName('p');
+  const segments = [];
+
+  for (let paragraph of paragraphs) {
+    const start = (parseInt(paragraph.getAttribute('t'), 10) || 0) / 1000;
+    const durationMs = parseInt(paragraph.getAttribute('d'), 10);
+    const duration = isNaN(durationMs) ? null : durationMs / 1000;
+
+    const spans = paragraph.getElementsByTagName('s');
+    let words = null;
+    let rawText;
+
+    if (spans.length > 0) {
+      words = [];
+      for (let span of spans) {
+        const wordText = normalizeCaptionText(decodeCaptionEntities(span.textContent || ''));
+        if (!wordText) continue;
+        const offset = (parseInt(span.getAttribute('t'), 10) || 0) / 1000;
+        words.push({ offset, text: wordText });
+      }
+      rawText = Array.from(spans, span => span.textContent).join('');
+    } else {
+      rawText = paragraph.textContent || '';
+    }
+
+    const text = normalizeCaptionText(decodeCaptionEntities(rawText));
+    if (!text) continue;
+
+    const segment = { start, duration, text };
+    if (words && words.length > 0) {
+      segment.words = words;
+    }
+    segments.push(segment);
+  }
+
+  return segments;
+}
+
+// json3: events with segs, where each seg may carry its own word offset
+function parseJson3(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    throw new Error('JSON parsing error: ' + error.message);
+  }
+
+  const segments = [];
+
+  for (const event of data.events || []) {
+    // Events without segs only define windows/styles
+    if (!event.segs) continue;
+
+    const text = normalizeCaptionText(event.segs.map(seg => seg.utf8 || '').join(''));
+    if (!text) continue;
+
+    const start = (event.tStartMs || 0) / 1000;
+    const duration = typeof event.dDurationMs === 'number' ? event.dDurationMs / 1000 : null;
+    const segment = { start, duration, text };
+
+    // Word timing is only present when some seg carries tOffsetMs
+    if (event.segs.some(seg => typeof seg.tOffsetMs === 'number')) {
+      segment.words = event.segs
+        .map(seg => ({ offset: (seg.tOffsetMs || 0) / 1000, text: normalizeCaptionText(seg.utf8 || '') }))
+        .filter(word => word.text);
+    }
+
+    segments.push(segment);
+  }
+
+  return segments;
+}
+
+// Decode the HTML entities left in caption text
+// srv1 bodies are escaped twice, so the XML parser leaves one level of entities behind.
+// The HTML parser decodes every named and numeric entity in a single pass, so "&amp;lt;"
+// stays "&lt;"; escaping '<' first keeps caption text from ever becoming markup.
+function decodeCaptionEntities(text) {
+  if (!text.includes('&')) return text;
+
+  const html = text.replace(/</g, '&lt;');
+  return new DOMParser().parseFromString(html, 'text/html').body.textContent;
+}
+
+// Collapse line breaks and repeated spaces inside a caption
+function normalizeCaptionText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
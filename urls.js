@@ -0,0 +1,78 @@
+// YouTube URL parsing shared by the content scripts
+//
+// Videos are reachable through many URL forms:
+//   https://www.youtube.com/watch?v=ID          desktop watch page
+//   https://www.youtube.com/live/ID             live stream (watch layout)
+//   https://www.youtube.com/shorts/ID           Shorts player
+//   https://m.youtube.com/watch?v=ID            mobile site (also /shorts/ and /live/)
+//   https://youtu.be/ID                         share links, redirecting to the watch page
+//   https://www.youtube.com/embed/ID            embedded player, on its own or in an iframe
+//   https://www.youtube-nocookie.com/embed/ID   privacy-enhanced embedded player
+
+// Video IDs are 11 characters of URL-safe base64
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+// Hosts serving YouTube pages (share links on youtu.be are handled separately)
+const YOUTUBE_HOSTS = [
+  'www.youtube.com',
+  'youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'www.youtube-nocookie.com',
+  'youtube-nocookie.com'
+];
+
+// First path part of URLs that carry the video ID as the second part
+const VIDEO_ID_PATHS = ['shorts', 'live', 'embed', 'v', 'e'];
+
+// Path parts in the video ID's place that name something else, although they fit the pattern
+// (/embed/videoseries?list=… is an embedded playlist)
+const NON_VIDEO_IDS = ['videoseries'];
+
+// Extract the video ID from any YouTube video URL, or null for anything else
+// Relative URLs (e.g. link hrefs) are resolved against base
+function parseVideoId(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const [, first, second] = parsed.pathname.split('/');
+  let videoId = null;
+
+  if (host === 'youtu.be' || host === 'www.youtu.be') {
+    videoId = first;
+  } else if (YOUTUBE_HOSTS.includes(host)) {
+    if (first === 'watch') {
+      videoId = parsed.searchParams.get('v');
+    } else if (VIDEO_ID_PATHS.includes(first)) {
+      videoId = second;
+    }
+  }
+
+  return videoId && VIDEO_ID_PATTERN.test(videoId) && !NON_VIDEO_IDS.includes(videoId) ? videoId : null;
+}
+
+// Layout of a YouTube video page: 'watch' (desktop watch and live pages), 'shorts',
+// 'embed' or 'mobile', or null for pages that don't show a single video
+function getPageLayout(url = window.location.href) {
+  if (!parseVideoId(url)) {
+    return null;
+  }
+
+  const parsed = new URL(url);
+  const first = parsed.pathname.split('/')[1];
+  if (first === 'embed') {
+    return 'embed';
+  }
+  if (parsed.hostname === 'm.youtube.com') {
+    return 'mobile';
+  }
+  if (first === 'shorts') {
+    return 'shorts';
+  }
+  return first === 'watch' || first === 'live' ? 'watch' : null;
+}
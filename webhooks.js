@@ -0,0 +1,92 @@
+// "Send to…" endpoints: transcripts POSTed as JSON to user-configured URLs
+//
+// Endpoints are kept as [{ id, name, url, headers, payloadTemplate }], headers being an object
+// of extra request headers. They are stored in chrome.storage.local rather than with the synced
+// settings: headers often carry credentials, and a few templates can outgrow the 8 KB that
+// chrome.storage.sync allows per item. The content script builds the request body
+// and the background service worker sends it, since only the extension's origin can be granted
+// access to other hosts (see the optional host permissions in manifest.json).
+
+// Tokens of the payload template; each is replaced by its value written as JSON
+const PAYLOAD_TOKENS = [
+  'transcript', 'text', 'format', 'videoId', 'title', 'channel', 'url',
+  'language', 'metadata', 'chapters', 'segments', 'sentAt'
+];
+
+// Payload sent when an endpoint has no template of its own
+const DEFAULT_PAYLOAD_TEMPLATE = '{"transcript": {transcript}, "text": {text}, "format": {format}}';
+
+// Load the stored endpoints
+async function loadWebhooks() {
+  const { webhooks } = await chrome.storage.local.get({ webhooks: [] });
+  return webhooks;
+}
+
+// Store the endpoints, replacing those stored before
+async function saveWebhooks(webhooks) {
+  await chrome.storage.local.set({ webhooks });
+}
+
+// Build the JSON request body for a transcript from a payload template
+// text is the transcript as it would be saved in format, header included
+function createWebhookPayload(transcript, text, format, template) {
+  const values = {
+    transcript,
+    text,
+    format,
+    videoId: transcript.videoId,
+    title: transcript.title,
+    channel: transcript.channel,
+    url: transcript.url,
+    language: transcript.language,
+    metadata: transcript.metadata,
+    chapters: transcript.chapters,
+    segments: transcript.segments,
+    sentAt: new Date().toISOString()
+  };
+
+  // Unknown tokens are left as they are, like in filename templates
+  return (template || DEFAULT_PAYLOAD_TEMPLATE).replace(/\{(\w+)\}/g, (match, token) => {
+    if (!PAYLOAD_TOKENS.includes(token)) return match;
+    return JSON.stringify(values[token] === undefined ? null : values[token]);
+  });
+}
+
+// Check that a payload template produces valid JSON, throwing a readable error if not
+function validatePayloadTemplate(template) {
+  const sample = { videoId: 'dQw4w9WgXcQ', title: '', channel: '', url: '', language: null, metadata: {}, chapters: [], segments: [] };
+  try {
+    JSON.parse(createWebhookPayload(sample, '', 'txt', template));
+  } catch (error) {
+    throw new Error('The payload template is not valid JSON: ' + error.message);
+  }
+}
+
+// Read headers written one per line as "Name: value"; blank lines are skipped
+function parseWebhookHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const match = line.match(/^\s*([!#$%&'*+.^_`|~\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!match) {
+      throw new Error(`Can't read header line "${line.trim()}", expected "Name: value"`);
+    }
+    headers[match[1]] = match[2];
+  }
+  return headers;
+}
+
+// Write headers back as "Name: value" lines
+function formatWebhookHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+// Host permission pattern covering an endpoint URL, on any port
+// Throws for anything but http and https URLs
+function getWebhookOriginPattern(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Endpoints must be http or https URLs, not ${parsed.protocol}`);
+  }
+  return `${parsed.protocol}//${parsed.hostname}/*`;
+}
@@ -0,0 +1,98 @@
+// Minimal ZIP archive writer
+//
+// Files are stored without compression, which keeps this small and is plenty for text.
+// Names are written as UTF-8 (general purpose flag bit 11) so titles in any script survive.
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 checksum of a byte array
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Pack a date into the DOS time and date fields used by ZIP headers
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Build a ZIP Blob from [{ name, content }] where content is a string
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const checksum = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true);   // local file header signature
+    localHeader.setUint16(4, 20, true);           // version needed to extract
+    localHeader.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+    localHeader.setUint16(8, 0, true);            // compression: stored
+    localHeader.setUint16(10, time, true);
+    localHeader.setUint16(12, date, true);
+    localHeader.setUint32(14, checksum, true);
+    localHeader.setUint32(18, data.length, true); // compressed size
+    localHeader.setUint32(22, data.length, true); // uncompressed size
+    localHeader.setUint16(26, nameBytes.length, true);
+    localHeader.setUint16(28, 0, true);           // extra field length
+    localParts.push(localHeader, nameBytes, data);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true); // central directory signature
+    centralHeader.setUint16(4, 20, true);         // version made by
+    centralHeader.setUint16(6, 20, true);         // version needed to extract
+    centralHeader.setUint16(8, 0x0800, true);
+    centralHeader.setUint16(10, 0, true);
+    centralHeader.setUint16(12, time, true);
+    centralHeader.setUint16(14, date, true);
+    centralHeader.setUint32(16, checksum, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, nameBytes.length, true);
+    centralHeader.setUint16(30, 0, true);         // extra field length
+    centralHeader.setUint16(32, 0, true);         // comment length
+    centralHeader.setUint16(34, 0, true);         // disk number
+    centralHeader.setUint16(36, 0, true);         // internal attributes
+    centralHeader.setUint32(38, 0, true);         // external attributes
+    centralHeader.setUint32(42, offset, true);    // local header offset
+    centralParts.push(centralHeader, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);             // end of central directory signature
+  end.setUint16(4, 0, true);
+  end.setUint16(6, 0, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  end.setUint16(20, 0, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}